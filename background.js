@@ -1,311 +1,2633 @@
 /**
  * Background service worker for Git Gladiators
- * Handles GitHub API calls with PAT authentication
+ * Handles GitHub API calls with PAT authentication, for github.com and any
+ * GitHub Enterprise Server hosts the user has added, and keeps pinned arenas
+ * and the toolbar rank badge fresh in the background
  */
 
+importScripts('routes.js', 'scoring.js');
+
 // --- Token management ---
 
-async function getToken() {
-  const result = await chrome.storage.local.get(['githubToken']);
-  return result.githubToken || null;
+/**
+ * Tokens by host live in one of three places, picked in settings:
+ *   local     - `githubTokens` in chrome.storage.local, as plain text
+ *   encrypted - `encryptedTokens` in local storage, AES-GCM with a key
+ *               derived from a passphrase; unlocked copies go to session storage
+ *   session   - `githubTokens` in chrome.storage.session only, forgotten
+ *               when the browser closes
+ * Installs from before GHES support kept a single github.com token in
+ * `githubToken`; it's folded in on the next save.
+ */
+const TOKEN_STORAGE_MODES = ['local', 'encrypted', 'session'];
+const PASSPHRASE_ITERATIONS = 250000;
+
+async function getTokenStorageMode() {
+  const { tokenStorage = 'local' } = await chrome.storage.local.get(['tokenStorage']);
+  return tokenStorage;
+}
+
+async function getTokens() {
+  if (await getTokenStorageMode() !== 'local') {
+    const { githubTokens = {} } = await chrome.storage.session.get(['githubTokens']);
+    return githubTokens;
+  }
+  const { githubTokens = {}, githubToken } = await chrome.storage.local.get(['githubTokens', 'githubToken']);
+  return githubToken ? { [DEFAULT_HOST]: githubToken, ...githubTokens } : githubTokens;
+}
+
+/**
+ * Encrypted tokens that haven't been unlocked with the passphrase this session
+ */
+async function isTokenStoreLocked() {
+  if (await getTokenStorageMode() !== 'encrypted') return false;
+  const { tokenKey } = await chrome.storage.session.get(['tokenKey']);
+  return !tokenKey;
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+async function derivePassphraseKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PASSPHRASE_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * The unlocked key, kept in session storage so the worker can re-encrypt
+ * after it restarts without asking for the passphrase again
+ */
+async function getSessionKey() {
+  const { tokenKey } = await chrome.storage.session.get(['tokenKey']);
+  if (!tokenKey) return null;
+  const key = await crypto.subtle.importKey('raw', fromBase64(tokenKey.key), 'AES-GCM', true, ['encrypt', 'decrypt']);
+  return { key, salt: tokenKey.salt };
+}
+
+async function setSessionKey(key, salt) {
+  const raw = await crypto.subtle.exportKey('raw', key);
+  await chrome.storage.session.set({ tokenKey: { key: toBase64(raw), salt } });
+}
+
+async function encryptTokens(tokens, { key, salt }) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(tokens)));
+  return { salt, iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Store tokens wherever the current mode keeps them
+ */
+async function writeTokens(githubTokens) {
+  const mode = await getTokenStorageMode();
+  if (mode === 'encrypted') {
+    const sessionKey = await getSessionKey();
+    if (!sessionKey) throw new Error('Unlock your tokens first');
+    await chrome.storage.local.set({ encryptedTokens: await encryptTokens(githubTokens, sessionKey) });
+  }
+  if (mode === 'local') {
+    await chrome.storage.local.set({ githubTokens });
+  } else {
+    await chrome.storage.session.set({ githubTokens });
+  }
+  await chrome.storage.local.remove(['githubToken', 'viewer']);
+}
+
+/**
+ * Move every stored token to another storage mode. Encrypting needs a
+ * passphrase; the tokens must be unlocked before leaving encrypted mode.
+ */
+async function setTokenStorage(mode, passphrase) {
+  if (!TOKEN_STORAGE_MODES.includes(mode)) throw new Error(`Unknown token storage: ${mode}`);
+  if (await isTokenStoreLocked()) throw new Error('Unlock your tokens first');
+  if (mode === 'encrypted' && !passphrase) throw new Error('A passphrase is required');
+
+  const tokens = await getTokens();
+  await chrome.storage.local.remove(['githubTokens', 'githubToken', 'encryptedTokens']);
+  await chrome.storage.session.remove(['githubTokens', 'tokenKey']);
+
+  if (mode === 'encrypted') {
+    const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+    await setSessionKey(await derivePassphraseKey(passphrase, fromBase64(salt)), salt);
+  }
+  await chrome.storage.local.set({ tokenStorage: mode });
+  await writeTokens(tokens);
+  return { status: 'success' };
+}
+
+/**
+ * Decrypt the stored tokens into session storage for this browser session
+ */
+async function unlockTokens(passphrase) {
+  const { encryptedTokens } = await chrome.storage.local.get(['encryptedTokens']);
+  if (!encryptedTokens) return { status: 'success' };
+
+  const key = await derivePassphraseKey(passphrase, fromBase64(encryptedTokens.salt));
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(encryptedTokens.iv) }, key, fromBase64(encryptedTokens.data));
+  } catch {
+    return { status: 'invalid', message: 'Wrong passphrase' };
+  }
+
+  await setSessionKey(key, encryptedTokens.salt);
+  await chrome.storage.session.set({ githubTokens: JSON.parse(new TextDecoder().decode(plaintext)) });
+  return { status: 'success' };
+}
+
+/**
+ * Drop encrypted tokens whose passphrase is lost. Every host has to sign in again.
+ */
+async function forgetTokens() {
+  await chrome.storage.local.remove(['githubTokens', 'githubToken', 'encryptedTokens', 'viewers', 'tokenStatus']);
+  await chrome.storage.session.remove(['githubTokens', 'tokenKey']);
+  await chrome.storage.local.set({ tokenStorage: 'local' });
+}
+
+async function getToken(host = DEFAULT_HOST) {
+  const tokens = await getTokens();
+  return tokens[host] || null;
+}
+
+async function saveToken(token, host = DEFAULT_HOST) {
+  const githubTokens = await getTokens();
+  githubTokens[host] = token;
+  await writeTokens(githubTokens);
+  await forgetTokenDetails(host);
+}
+
+async function clearToken(host = DEFAULT_HOST) {
+  const githubTokens = await getTokens();
+  delete githubTokens[host];
+  await writeTokens(githubTokens);
+  await forgetTokenDetails(host);
+}
+
+async function forgetTokenDetails(host) {
+  const { viewers = {}, tokenStatus = {} } = await chrome.storage.local.get(['viewers', 'tokenStatus']);
+  delete viewers[host];
+  delete tokenStatus[host];
+  await chrome.storage.local.set({ viewers, tokenStatus });
+}
+
+function describeTokenKind(token) {
+  if (token.startsWith('gho_')) return 'OAuth sign-in';
+  if (token.startsWith('github_pat_')) return 'Fine-grained token';
+  if (token.startsWith('ghp_')) return 'Classic token';
+  return 'Token';
+}
+
+/**
+ * Check a host's token against /user and remember the outcome, the login and
+ * the granted scopes (classic and OAuth tokens report them in X-OAuth-Scopes).
+ * A candidate token is checked before it is stored and only replaces the
+ * host's current token once it verifies.
+ */
+async function verifyToken(host = DEFAULT_HOST, candidate = null) {
+  const api = candidate ? { host, token: candidate, ...githubApiUrls(host) } : await getApi(host);
+  if (!api) return { status: 'no_token', message: `No token for ${host}` };
+
+  const response = await githubFetch(api, `${api.rest}/user`, { headers: githubHeaders(api) });
+  if (candidate) {
+    if (response.status === 401) return { status: 'invalid_token', message: 'Invalid or expired token' };
+    if (!response.ok) return { status: 'error', message: `HTTP ${response.status}` };
+    await saveToken(candidate, host);
+  }
+  const { tokenStatus = {}, viewers = {} } = await chrome.storage.local.get(['tokenStatus', 'viewers']);
+  const status = {
+    valid: response.ok,
+    kind: describeTokenKind(api.token),
+    scopes: response.headers.get('x-oauth-scopes')?.split(',').map(scope => scope.trim()).filter(Boolean) ?? null,
+    verifiedAt: Date.now()
+  };
+
+  if (response.ok) {
+    const user = await response.json();
+    status.login = user.login;
+    viewers[host] = { login: user.login, avatar: user.avatar_url || '' };
+  }
+  tokenStatus[host] = status;
+  await chrome.storage.local.set({ tokenStatus, viewers });
+
+  if (response.status === 401) return { status: 'invalid_token', message: 'Invalid or expired token' };
+  if (!response.ok) return { status: 'error', message: `HTTP ${response.status}` };
+  return { status: 'success', ...status };
+}
+
+/**
+ * Everything the settings screen shows: the storage mode and, per host with
+ * a token, what the last verification found
+ */
+async function getTokenSettings() {
+  const mode = await getTokenStorageMode();
+  const locked = await isTokenStoreLocked();
+  const tokens = await getTokens();
+  const { tokenStatus = {} } = await chrome.storage.local.get(['tokenStatus']);
+  const hosts = Object.keys(tokens).map(host => ({
+    host,
+    kind: describeTokenKind(tokens[host]),
+    ...tokenStatus[host]
+  }));
+  return { mode, locked, hosts };
+}
+
+/**
+ * Everything needed to call a host's API: its token and REST/GraphQL
+ * endpoints. Null when no token is stored for the host.
+ */
+async function getApi(host = DEFAULT_HOST) {
+  const token = await getToken(host);
+  return token ? { host, token, ...githubApiUrls(host) } : null;
+}
+
+/**
+ * The signed-in user's login and avatar on a host, fetched once per token
+ */
+async function getViewer(host = DEFAULT_HOST) {
+  const { viewers = {} } = await chrome.storage.local.get(['viewers']);
+  if (viewers[host]) return viewers[host];
+
+  const api = await getApi(host);
+  if (!api) return null;
+
+  const response = await githubFetch(api, `${api.rest}/user`, { headers: githubHeaders(api) });
+  if (!response.ok) return null;
+
+  const user = await response.json();
+  viewers[host] = { login: user.login, avatar: user.avatar_url || '' };
+  await chrome.storage.local.set({ viewers });
+  return viewers[host];
+}
+
+// --- GitHub API helpers ---
+
+function getNextPageUrl(linkHeader) {
+  if (!linkHeader) return null;
+  const match = linkHeader.match(/<([^>]+)>;\s*rel="next"/);
+  return match ? match[1] : null;
+}
+
+function githubHeaders(api) {
+  return {
+    'Accept': 'application/vnd.github.v3+json',
+    'Authorization': `Bearer ${api.token}`,
+    'X-GitHub-Api-Version': '2022-11-28'
+  };
+}
+
+/**
+ * POST a GraphQL query, throwing on HTTP errors or a response without data.
+ * A RATE_LIMITED error marks the GraphQL budget spent and retries once, so
+ * the rate-limit manager waits for the reset (or gives up) first.
+ */
+async function postGraphQL(api, signal, query, variables, { retried = false } = {}) {
+  const response = await githubFetch(api, api.graphql, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${api.token}`,
+      'Content-Type': 'application/json',
+    },
+    signal,
+    body: JSON.stringify({ query, variables })
+  });
+
+  if (!response.ok) throw new Error(`GraphQL HTTP ${response.status}`);
+
+  const json = await response.json();
+  if (json.errors?.some(e => e.type === 'RATE_LIMITED') && !retried) {
+    await markBudgetSpent(api.host, 'graphql');
+    return postGraphQL(api, signal, query, variables, { retried: true });
+  }
+  if (!json.data) throw new Error(json.errors?.[0]?.message || 'GraphQL query failed');
+  return json.data;
+}
+
+// --- Rate limits ---
+
+// Budgets per host and resource (`core`, `graphql`, ...) as last reported by
+// GitHub's X-RateLimit-* headers. Mirrored to session storage for the popup.
+const RATE_LIMITS_KEY = 'rateLimits';
+const FETCH_PAUSE_KEY = 'fetchPause';
+const RATE_LIMITED = 'GitHub API rate limit exhausted';
+const MAX_INLINE_WAIT_MS = 60 * 1000; // Longer waits end the fetch and resume from an alarm
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 32 * 1000;
+const SECONDARY_LIMIT_RETRIES = 5;
+const COMPUTING_RETRIES = 3; // 202s from /stats/* while GitHub computes them
+const RESUME_ALARM = 'rateLimitResume';
+
+let rateLimits = null;
+
+async function getRateLimits() {
+  if (!rateLimits) {
+    const { [RATE_LIMITS_KEY]: stored = {} } = await chrome.storage.session.get([RATE_LIMITS_KEY]);
+    rateLimits = stored;
+  }
+  return rateLimits;
+}
+
+async function recordRateLimit(host, response) {
+  const resource = response.headers.get('x-ratelimit-resource');
+  const remaining = response.headers.get('x-ratelimit-remaining');
+  if (!resource || remaining === null) return;
+
+  const limits = await getRateLimits();
+  limits[host] = {
+    ...limits[host],
+    [resource]: {
+      limit: Number(response.headers.get('x-ratelimit-limit')),
+      remaining: Number(remaining),
+      resetAt: Number(response.headers.get('x-ratelimit-reset')) * 1000
+    }
+  };
+  await chrome.storage.session.set({ [RATE_LIMITS_KEY]: limits });
+}
+
+async function markBudgetSpent(host, resource) {
+  const limits = await getRateLimits();
+  const budget = limits[host]?.[resource];
+  if (!budget) return;
+  budget.remaining = 0;
+  await chrome.storage.session.set({ [RATE_LIMITS_KEY]: limits });
+}
+
+function rateLimitError(resetAt) {
+  const error = new Error(RATE_LIMITED);
+  error.resetAt = resetAt;
+  return error;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Wait out an exhausted budget. Short waits pause the fetch in place (the
+ * popup shows the pause); longer ones throw RATE_LIMITED and an alarm
+ * resumes the fetch after the reset.
+ */
+async function waitForBudget(host, resource, signal) {
+  const budget = (await getRateLimits())[host]?.[resource];
+  if (!budget || budget.remaining > 0 || Date.now() >= budget.resetAt) return;
+
+  const wait = budget.resetAt - Date.now() + 1000;
+  if (wait > MAX_INLINE_WAIT_MS) {
+    await scheduleResume(budget.resetAt);
+    throw rateLimitError(budget.resetAt);
+  }
+
+  await chrome.storage.session.set({ [FETCH_PAUSE_KEY]: { host, resource, resumeAt: budget.resetAt } });
+  try {
+    await sleep(wait, signal);
+  } finally {
+    await chrome.storage.session.remove([FETCH_PAUSE_KEY]);
+  }
+}
+
+/**
+ * Secondary rate limits come back as 429, or as 403 with Retry-After or a
+ * body that says so. Other 403s (SSO, missing scopes, blocked repos) are
+ * permission errors and aren't retried.
+ */
+async function isSecondaryLimit(response) {
+  if (response.status === 429) return true;
+  if (response.status !== 403) return false;
+  if (response.headers.has('retry-after')) return true;
+  try {
+    return /secondary rate limit/i.test(await response.clone().text());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * When to try again after a secondary limit. x-ratelimit-reset is the primary
+ * budget's reset, which says nothing about when the secondary limit lifts.
+ */
+function secondaryLimitResetAt(response) {
+  const retryAfter = Number(response.headers.get('retry-after'));
+  return Date.now() + (retryAfter > 0 ? retryAfter * 1000 : BACKOFF_MAX_MS);
+}
+
+function backoffDelay(response, attempt) {
+  const retryAfter = Number(response.headers.get('retry-after'));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, BACKOFF_MAX_MS);
+  return Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+}
+
+/**
+ * fetch() for GitHub APIs: waits for an exhausted budget to reset, records
+ * the budget each response reports, and backs off exponentially (capped) on
+ * secondary limits and, with `retryComputing`, on 202 "still computing".
+ */
+async function githubFetch(api, url, { retryComputing = false, ...options } = {}) {
+  const resource = url === api.graphql ? 'graphql' : 'core';
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForBudget(api.host, resource, options.signal);
+    const response = await fetch(url, options);
+    await recordRateLimit(api.host, response);
+
+    if ((response.status === 403 || response.status === 429) && response.headers.get('x-ratelimit-remaining') === '0') {
+      // Primary budget spent: the next pass waits for the reset
+      if (attempt > 0) return response;
+      continue;
+    }
+
+    const retries = await isSecondaryLimit(response) ? SECONDARY_LIMIT_RETRIES
+      : response.status === 202 && retryComputing ? COMPUTING_RETRIES
+      : 0;
+    if (attempt >= retries) return response;
+    await sleep(backoffDelay(response, attempt), options.signal);
+  }
+}
+
+/**
+ * Re-run the most recent fetch once the budget has reset, so the cache is
+ * complete the next time the popup opens
+ */
+async function scheduleResume(resetAt) {
+  await chrome.alarms.create(RESUME_ALARM, { when: resetAt + 1000 });
+}
+
+async function rememberFetch(request) {
+  await chrome.storage.session.set({ lastFetch: request });
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== RESUME_ALARM) return;
+  const { lastFetch } = await chrome.storage.session.get(['lastFetch']);
+  if (lastFetch?.arena) {
+    fetchArenaStats(lastFetch.arena, { force: true });
+  } else if (lastFetch) {
+    fetchContributorStats(lastFetch.owner, lastFetch.repo, { force: true, ref: lastFetch.ref, host: lastFetch.host });
+  }
+});
+
+/**
+ * The popup's view of the budget for a host
+ */
+async function getRateLimitStatus(host = DEFAULT_HOST) {
+  const limits = (await getRateLimits())[host] || {};
+  const { [FETCH_PAUSE_KEY]: pause = null } = await chrome.storage.session.get([FETCH_PAUSE_KEY]);
+  return { limits, pause: pause?.host === host ? pause : null };
+}
+
+/**
+ * Result for a fetch that ran out of budget
+ */
+function rateLimitedResult(error) {
+  const time = new Date(error.resetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return { status: 'rate_limited', message: `Rate limited until ${time}. Resuming then.`, resetAt: error.resetAt };
+}
+
+function getWeekStartTimestamp(date) {
+  const d = new Date(date);
+  d.setUTCHours(0, 0, 0, 0);
+  d.setUTCDate(d.getUTCDate() - d.getUTCDay());
+  return Math.floor(d.getTime() / 1000);
+}
+
+// --- Stats cache ---
+
+const CACHE_PREFIX = 'statsCache:';
+const CACHE_INDEX_KEY = 'statsCacheIndex';
+const CACHE_FRESH_MS = 5 * 60 * 1000; // Serve without revalidating for 5 minutes
+const ACHIEVEMENTS_PREFIX = 'achievements:'; // Written by the popup, keyed like the cache
+const CACHE_MAX_REPOS = 50; // Room for a full org arena plus the repos you browse
+
+/**
+ * Storage name for a repo, or for one of its refs when `ref` is set.
+ * Repos on a GHES host are prefixed with the host.
+ */
+function repoStorageName(owner, repo, ref = null, host = DEFAULT_HOST) {
+  // Ref names are case-sensitive; hosts, owner and repo names aren't
+  const name = host === DEFAULT_HOST ? `${owner}/${repo}` : `${host}/${owner}/${repo}`;
+  return name.toLowerCase() + (ref ? `@${ref}` : '');
+}
+
+function cacheKey(owner, repo, ref = null, host = DEFAULT_HOST) {
+  return CACHE_PREFIX + repoStorageName(owner, repo, ref, host);
+}
+
+async function getCachedStats(owner, repo, ref = null, host = DEFAULT_HOST) {
+  const key = cacheKey(owner, repo, ref, host);
+  const result = await chrome.storage.local.get([key]);
+  return result[key] || null;
+}
+
+/**
+ * Store contributor data for a repo, evicting the least recently fetched
+ * repos (and their commit and PR history and badges) once more than CACHE_MAX_REPOS are cached.
+ */
+async function setCachedStats(owner, repo, entry, ref = null, host = DEFAULT_HOST) {
+  const key = cacheKey(owner, repo, ref, host);
+  const { [CACHE_INDEX_KEY]: index = {} } = await chrome.storage.local.get([CACHE_INDEX_KEY]);
+
+  index[key] = entry.fetchedAt;
+  const evicted = Object.keys(index)
+    .sort((a, b) => index[b] - index[a])
+    .slice(CACHE_MAX_REPOS);
+  for (const oldKey of evicted) {
+    delete index[oldKey];
+  }
+
+  if (evicted.length > 0) {
+    const repoKeys = evicted.flatMap(k => {
+      const name = k.slice(CACHE_PREFIX.length);
+      // PR activity is repo-wide, so it goes with the default-branch entry
+      const isRef = name.includes('@');
+      return [
+        HISTORY_PREFIX + name,
+        FILES_PREFIX + name,
+        ACHIEVEMENTS_PREFIX + name,
+        ...(isRef ? [] : [PULLS_PREFIX + name])
+      ];
+    });
+    await chrome.storage.local.remove([...evicted, ...repoKeys]);
+  }
+  await chrome.storage.local.set({ [key]: entry, [CACHE_INDEX_KEY]: index });
+}
+
+/**
+ * Drop all-zero weeks before caching; /stats/contributors pads every
+ * contributor with a bucket for every week of the repo's lifetime.
+ */
+function compactContributors(contributors) {
+  return contributors.map(c => ({
+    ...c,
+    weeks: c.weeks.filter(hasWeekActivity)
+  }));
+}
+
+/**
+ * Weekly buckets hold `w` (week start) plus activity counters: c/a/d from
+ * commits, xa/xd (lines in excluded paths), we (weekend commits), fy (the
+ * repo's first commit of a year), and p/m/r/rc (PRs opened, PRs merged, reviews, review comments)
+ */
+function hasWeekActivity(week) {
+  return Object.entries(week).some(([field, value]) => field !== 'w' && value > 0);
+}
+
+/**
+ * Whether a cache entry was built from a fully backfilled history in the current format
+ */
+function isHistoryCurrent(cached) {
+  return !!cached.historyComplete && cached.historyVersion === HISTORY_VERSION;
+}
+
+/**
+ * Whether a cache entry can be served without touching the network
+ */
+function isCacheFresh(cached, exclusions) {
+  return isHistoryCurrent(cached) &&
+    cached.weeksFormat === weeksFormat(exclusions) &&
+    Date.now() - cached.fetchedAt < CACHE_FRESH_MS;
+}
+
+// Bump when applyCommitHistory adds or changes week counters
+// (2: weekend commits, 3: committer-local weekends and first commits of the year)
+const WEEKS_FORMAT_VERSION = 3;
+
+/**
+ * How cached weeks were derived from the commit history: the counter format
+ * and the path exclusions applied. A mismatch means the history is re-applied.
+ */
+function weeksFormat(exclusions) {
+  return `v${WEEKS_FORMAT_VERSION}\n${exclusions.join('\n')}`;
+}
+
+function cachedResult(cached) {
+  return {
+    status: 'success',
+    data: cached.data,
+    fetchedAt: cached.fetchedAt,
+    historyComplete: isHistoryCurrent(cached),
+    fromCache: true
+  };
+}
+
+/**
+ * Build contributor stats for a branch, tag or other ref from its commit
+ * history alone; /stats/contributors only covers the default branch.
+ */
+async function loadRefStats(owner, repo, ref, api, signal, { force = false } = {}) {
+  const cached = await getCachedStats(owner, repo, ref, api.host);
+  const exclusions = await getPathExclusions(owner, repo, api.host);
+  if (cached && !force && isCacheFresh(cached, exclusions)) {
+    return cachedResult(cached);
+  }
+
+  try {
+    let history;
+    try {
+      history = await syncCommitHistory(owner, repo, api, signal, ref);
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      if (e.message === HISTORY_NOT_FOUND) {
+        return { status: 'not_found', message: `Ref "${ref}" not found in ${owner}/${repo}.` };
+      }
+      console.warn('GraphQL history sync failed, using stored history:', e);
+      history = await getCommitHistory(owner, repo, ref, api.host);
+    }
+
+    if (history.commits.length === 0) {
+      return { status: 'empty', message: 'No commits on this ref.' };
+    }
+
+    const { files, complete: filesComplete } = await syncCommitFiles(owner, repo, api, signal, history, exclusions, ref);
+
+    // Every linked author in the history, with weeks filled in below
+    const contributors = Object.values(history.people || {}).map(person => ({ ...person, weeks: [] }));
+    applyCommitHistory(history, contributors, {
+      countCommits: true,
+      files,
+      isExcluded: createPathMatcher(exclusions)
+    });
+    await applyPullRequestStats(owner, repo, api, signal, contributors, ref);
+
+    const data = compactContributors(contributors);
+    const fetchedAt = Date.now();
+    await setCachedStats(owner, repo, {
+      data,
+      fetchedAt,
+      historyComplete: history.complete && filesComplete,
+      historyVersion: HISTORY_VERSION,
+      weeksFormat: weeksFormat(exclusions)
+    }, ref, api.host);
+
+    return { status: 'success', data, fetchedAt, historyComplete: history.complete && filesComplete };
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return { status: 'aborted' };
+    }
+    if (error.message === RATE_LIMITED) {
+      return rateLimitedResult(error);
+    }
+    console.error('Error fetching ref stats:', error);
+    return { status: 'error', message: error.message };
+  }
+}
+
+/**
+ * List a repo's default branch plus its most recently updated branches and tags
+ */
+async function fetchRepoRefs(owner, repo, host = DEFAULT_HOST) {
+  const api = await getApi(host);
+  if (!api) {
+    return { status: 'no_token', message: 'GitHub token required' };
+  }
+
+  try {
+    const data = await postGraphQL(api, undefined, REFS_QUERY, { owner, repo });
+    if (!data.repository) {
+      return { status: 'not_found', message: 'Repository not found or no access.' };
+    }
+    return {
+      status: 'success',
+      defaultBranch: data.repository.defaultBranchRef?.name || null,
+      branches: data.repository.branches.nodes.map(n => n.name),
+      tags: data.repository.tags.nodes.map(n => n.name)
+    };
+  } catch (error) {
+    return { status: 'error', message: error.message };
+  }
+}
+
+const TREE_REF_MAX_SEGMENTS = 10;
+
+/**
+ * Find the ref at the start of a /tree/ path. Ref names can contain slashes
+ * and the repo may have more refs than fetchRepoRefs lists, so each leading
+ * prefix is looked up directly: branches first, as GitHub resolves them.
+ */
+async function findTreeRef(owner, repo, treePath, host = DEFAULT_HOST) {
+  const api = await getApi(host);
+  if (!api) {
+    return { status: 'no_token', message: 'GitHub token required' };
+  }
+
+  const segments = treePath.split('/').slice(0, TREE_REF_MAX_SEGMENTS);
+  const candidates = segments.map((_, i) => segments.slice(0, i + 1).join('/'));
+  const headers = githubHeaders(api);
+
+  try {
+    for (const kind of ['heads', 'tags']) {
+      for (const candidate of candidates) {
+        const path = candidate.split('/').map(encodeURIComponent).join('/');
+        const response = await githubFetch(api, `${api.rest}/repos/${owner}/${repo}/git/ref/${kind}/${path}`, { headers });
+        if (response.ok) return { status: 'success', ref: candidate };
+        if (response.status !== 404) return { status: 'error', message: `HTTP ${response.status}` };
+      }
+    }
+    return { status: 'not_found', message: 'No branch or tag matches this path.' };
+  } catch (error) {
+    return { status: 'error', message: error.message };
+  }
+}
+
+const REFS_QUERY = `
+  query($owner: String!, $repo: String!) {
+    repository(owner: $owner, name: $repo) {
+      defaultBranchRef { name }
+      branches: refs(refPrefix: "refs/heads/", first: 100, orderBy: { field: TAG_COMMIT_DATE, direction: DESC }) {
+        nodes { name }
+      }
+      tags: refs(refPrefix: "refs/tags/", first: 50, orderBy: { field: TAG_COMMIT_DATE, direction: DESC }) {
+        nodes { name }
+      }
+    }
+  }
+`;
+
+/**
+ * Overlay GraphQL line counts and PR/review activity on the REST contributor
+ * data and cache the result. `syncHistory` is false when the commit history
+ * is known to be unchanged.
+ */
+async function finalizeContributors(owner, repo, api, signal, contributors, etag, { syncHistory = true, exclusions = [] } = {}) {
+  // Fetch accurate per-commit additions/deletions via GraphQL
+  // The stats/contributors REST API returns unreliable per-week a/d data
+  const historyComplete = syncHistory
+    ? await applyGraphQLStats(owner, repo, api, signal, contributors, exclusions)
+    : true;
+
+  await applyPullRequestStats(owner, repo, api, signal, contributors);
+
+  const data = compactContributors(contributors);
+  const fetchedAt = Date.now();
+  await setCachedStats(owner, repo, {
+    data,
+    etag,
+    fetchedAt,
+    historyComplete,
+    historyVersion: HISTORY_VERSION,
+    weeksFormat: weeksFormat(exclusions)
+  }, null, api.host);
+
+  return { status: 'success', data, fetchedAt, historyComplete };
+}
+
+let currentAbortController = null;
+
+/**
+ * Abort any previous in-flight fetch and return the signal for a new one
+ */
+function startFetch() {
+  if (currentAbortController) {
+    currentAbortController.abort();
+  }
+  currentAbortController = new AbortController();
+  return currentAbortController.signal;
+}
+
+/**
+ * Fetch contributor stats for a single repository
+ */
+async function fetchContributorStats(owner, repo, { force = false, ref = null, host = DEFAULT_HOST } = {}) {
+  const signal = startFetch();
+  await rememberFetch({ owner, repo, ref, host });
+  const api = await getApi(host);
+
+  if (!api) {
+    return { status: 'no_token', message: `GitHub token required for ${host}` };
+  }
+
+  if (ref) {
+    return loadRefStats(owner, repo, ref, api, signal, { force });
+  }
+  return loadRepoStats(owner, repo, api, signal, { force });
+}
+
+/**
+ * Fetch contributor stats from multiple GitHub API sources.
+ * Cached data younger than CACHE_FRESH_MS is returned as-is unless `force` is set;
+ * older data is revalidated against the /stats/contributors ETag.
+ */
+async function loadRepoStats(owner, repo, api, signal, { force = false } = {}) {
+  const cached = await getCachedStats(owner, repo, null, api.host);
+  const exclusions = await getPathExclusions(owner, repo, api.host);
+  // While the history backfill is incomplete, every open continues it
+  if (cached && !force && isCacheFresh(cached, exclusions)) {
+    return cachedResult(cached);
+  }
+
+  const headers = githubHeaders(api);
+  const baseUrl = `${api.rest}/repos/${owner}/${repo}`;
+
+  try {
+    // Stats reflect every commit on the default branch, so an unchanged ETag
+    // means the contributor list and commit history are unchanged too
+    const statsHeaders = cached?.etag ? { ...headers, 'If-None-Match': cached.etag } : headers;
+    const statsResponse = await githubFetch(api, `${baseUrl}/stats/contributors`, { headers: statsHeaders, signal, retryComputing: true });
+
+    if (statsResponse.status === 304 && cached) {
+      // No new commits, but PRs and reviews may have changed. Cached weeks in
+      // an older format or with other path exclusions need the history re-applied.
+      return await finalizeContributors(owner, repo, api, signal, structuredClone(cached.data), cached.etag, {
+        syncHistory: !isHistoryCurrent(cached) || cached.weeksFormat !== weeksFormat(exclusions),
+        exclusions
+      });
+    }
+
+    // Handle stats endpoint errors
+    if (statsResponse.status === 202) {
+      return { status: 'computing', message: 'GitHub is computing stats...' };
+    }
+    if (statsResponse.status === 401) {
+      return { status: 'invalid_token', message: 'Invalid or expired token' };
+    }
+    if (statsResponse.status === 403 || statsResponse.status === 429) {
+      const primary = statsResponse.headers.get('x-ratelimit-remaining') === '0';
+      if (primary || await isSecondaryLimit(statsResponse)) {
+        const resetAt = primary
+          ? Number(statsResponse.headers.get('x-ratelimit-reset')) * 1000 || Date.now() + BACKOFF_MAX_MS
+          : secondaryLimitResetAt(statsResponse);
+        await scheduleResume(resetAt);
+        return rateLimitedResult({ resetAt });
+      }
+      return { status: 'forbidden', message: 'Access forbidden. Check token permissions.' };
+    }
+    if (statsResponse.status === 404) {
+      return { status: 'not_found', message: 'Repository not found or no access.' };
+    }
+    if (!statsResponse.ok) {
+      return { status: 'error', message: `HTTP ${statsResponse.status}` };
+    }
+
+    const statsData = await statsResponse.json();
+    const etag = statsResponse.headers.get('etag');
+
+    // Paginate through all contributors. The list only fills in people the
+    // stats miss, so a rate limit part way keeps the pages already read.
+    let listData = [];
+    let nextUrl = `${baseUrl}/contributors?per_page=100`;
+    try {
+      while (nextUrl) {
+        const response = await githubFetch(api, nextUrl, { headers, signal });
+        if (!response.ok) break;
+        const page = await response.json();
+        if (!Array.isArray(page) || page.length === 0) break;
+        listData = listData.concat(page);
+        nextUrl = getNextPageUrl(response.headers.get('link'));
+      }
+    } catch (error) {
+      if (error.name === 'AbortError' || error.message !== RATE_LIMITED) throw error;
+    }
+
+    // Build contributor map from stats data
+    const contributorMap = new Map();
+
+    if (Array.isArray(statsData)) {
+      for (const stat of statsData) {
+        const login = stat.author?.login;
+        if (!login) continue;
+
+        contributorMap.set(login.toLowerCase(), {
+          login,
+          avatar: stat.author?.avatar_url || '',
+          profileUrl: stat.author?.html_url || '',
+          weeks: stat.weeks || []
+        });
+      }
+    }
+
+    // Merge missing contributors from the contributors list endpoint
+    if (Array.isArray(listData)) {
+      for (const c of listData) {
+        if (!c.login) continue;
+        const key = c.login.toLowerCase();
+        if (!contributorMap.has(key)) {
+          contributorMap.set(key, {
+            login: c.login,
+            avatar: c.avatar_url || '',
+            profileUrl: c.html_url || '',
+            weeks: [],
+            totalCommits: c.contributions || 0
+          });
+        }
+      }
+    }
+
+    if (contributorMap.size === 0) {
+      return { status: 'empty', message: 'No contributor data available.' };
+    }
+
+    const contributors = Array.from(contributorMap.values());
+    return await finalizeContributors(owner, repo, api, signal, contributors, etag, { exclusions });
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return { status: 'aborted' };
+    }
+    if (error.message === RATE_LIMITED) {
+      return rateLimitedResult(error);
+    }
+    console.error('Error fetching contributor stats:', error);
+    return { status: 'error', message: error.message };
+  }
+}
+
+// --- Arenas (multi-repo leaderboards) ---
+
+const OWNER_REPOS_PREFIX = 'ownerRepos:';
+const OWNER_REPOS_FRESH_MS = 60 * 60 * 1000;
+const OWNER_ARENA_MAX_REPOS = 20; // Well under CACHE_MAX_REPOS, so a refresh doesn't evict its own members
+
+/**
+ * List an org's (or user's) most recently pushed repos, skipping forks and
+ * archived repos. Cached for an hour since repo lists rarely change.
+ */
+function ownerReposKey(owner, host = DEFAULT_HOST) {
+  return (host === DEFAULT_HOST ? `${OWNER_REPOS_PREFIX}${owner}` : `${OWNER_REPOS_PREFIX}${host}/${owner}`).toLowerCase();
+}
+
+async function fetchOwnerRepos(owner, api, signal) {
+  const key = ownerReposKey(owner, api.host);
+  const { [key]: cached } = await chrome.storage.local.get([key]);
+  if (cached && Date.now() - cached.fetchedAt < OWNER_REPOS_FRESH_MS) {
+    return { status: 'success', repos: cached.repos };
+  }
+
+  const headers = githubHeaders(api);
+  let response = await githubFetch(api, `${api.rest}/orgs/${owner}/repos?per_page=100&sort=pushed&type=all`, { headers, signal });
+  if (response.status === 404) {
+    // Not an org: fall back to the user's own repos
+    response = await githubFetch(api, `${api.rest}/users/${owner}/repos?per_page=100&sort=pushed`, { headers, signal });
+  }
+
+  if (response.status === 401) {
+    return { status: 'invalid_token', message: 'Invalid or expired token' };
+  }
+  if (response.status === 404) {
+    return { status: 'not_found', message: `No organization or user named ${owner}.` };
+  }
+  if (!response.ok) {
+    return { status: 'error', message: `HTTP ${response.status}` };
+  }
+
+  const repos = [];
+  while (response) {
+    const page = await response.json();
+    if (!Array.isArray(page)) break;
+
+    for (const r of page) {
+      if (!r.fork && !r.archived) repos.push(r.full_name);
+    }
+    if (repos.length >= OWNER_ARENA_MAX_REPOS) break;
+
+    const nextUrl = getNextPageUrl(response.headers.get('link'));
+    response = nextUrl ? await githubFetch(api, nextUrl, { headers, signal }) : null;
+    if (response && !response.ok) break;
+  }
+
+  const result = repos.slice(0, OWNER_ARENA_MAX_REPOS);
+  await chrome.storage.local.set({ [key]: { repos: result, fetchedAt: Date.now() } });
+  return { status: 'success', repos: result };
+}
+
+/**
+ * Expand arena members into a de-duplicated list of `owner/repo` names.
+ * A member without a slash stands for every repo of that org or user.
+ */
+async function resolveArenaRepos(arena, api, signal) {
+  const repos = new Map(); // lowercase name -> name
+  for (const member of arena.members) {
+    if (member.includes('/')) {
+      repos.set(member.toLowerCase(), member);
+      continue;
+    }
+
+    const result = await fetchOwnerRepos(member, api, signal);
+    if (result.status !== 'success') return result;
+    for (const name of result.repos) repos.set(name.toLowerCase(), name);
+  }
+  return { status: 'success', repos: Array.from(repos.values()) };
+}
+
+/**
+ * Merge per-repo contributor lists into one list keyed by login.
+ * Weekly buckets are summed, and each contributor keeps `repoWeeks`
+ * (repo name -> weeks) so the popup can break their score down by repo.
+ */
+function mergeArenaContributors(repoResults) {
+  const merged = new Map();
+
+  for (const { repo, data } of repoResults) {
+    for (const c of data) {
+      const key = c.login.toLowerCase();
+      if (!merged.has(key)) {
+        merged.set(key, {
+          login: c.login,
+          ...(c.unlinked && { name: c.name, unlinked: true }),
+          avatar: c.avatar,
+          profileUrl: c.profileUrl,
+          weekMap: new Map(),
+          repoWeeks: {},
+          totalCommits: 0
+        });
+      }
+      const entry = merged.get(key);
+      entry.avatar = entry.avatar || c.avatar;
+      entry.profileUrl = entry.profileUrl || c.profileUrl;
+      entry.totalCommits += c.totalCommits || c.weeks.reduce((sum, w) => sum + w.c, 0);
+      entry.repoWeeks[repo] = c.weeks;
+
+      for (const week of c.weeks) {
+        if (!entry.weekMap.has(week.w)) {
+          entry.weekMap.set(week.w, { w: week.w, a: 0, d: 0, c: 0 });
+        }
+        const total = entry.weekMap.get(week.w);
+        for (const [field, value] of Object.entries(week)) {
+          if (field !== 'w') total[field] = (total[field] || 0) + value;
+        }
+      }
+    }
+  }
+
+  return Array.from(merged.values()).map(({ weekMap, ...c }) => ({
+    ...c,
+    weeks: Array.from(weekMap.values()).sort((a, b) => a.w - b.w)
+  }));
+}
+
+function arenaResult(repoResults, incompleteRepos) {
+  return {
+    status: 'success',
+    data: mergeArenaContributors(repoResults),
+    fetchedAt: Math.min(...repoResults.map(r => r.fetchedAt)),
+    historyComplete: repoResults.every(r => r.historyComplete),
+    repoCount: repoResults.length,
+    incompleteRepos
+  };
+}
+
+/**
+ * Fetch and merge contributor stats for every repo in an arena
+ */
+async function fetchArenaStats(arena, { force = false } = {}) {
+  const signal = startFetch();
+  await rememberFetch({ arena });
+  const host = arena.host || DEFAULT_HOST;
+  const api = await getApi(host);
+
+  if (!api) {
+    return { status: 'no_token', message: `GitHub token required for ${host}` };
+  }
+
+  return loadArenaStats(arena, api, signal, { force });
+}
+
+/**
+ * Load and merge an arena's repos. Repos that fail individually are reported
+ * in `incompleteRepos` instead of failing the arena.
+ */
+async function loadArenaStats(arena, api, signal, { force = false } = {}) {
+  try {
+    const resolved = await resolveArenaRepos(arena, api, signal);
+    if (resolved.status !== 'success') return resolved;
+
+    const repoResults = [];
+    const incompleteRepos = [];
+    for (const name of resolved.repos) {
+      const [owner, repo] = name.split('/');
+      const result = await loadRepoStats(owner, repo, api, signal, { force });
+
+      if (result.status === 'success') {
+        repoResults.push({ repo: name, ...result });
+      } else if (['aborted', 'invalid_token', 'rate_limited'].includes(result.status)) {
+        return result; // Affects every remaining repo too
+      } else if (result.status !== 'empty') {
+        incompleteRepos.push({ repo: name, status: result.status });
+      }
+    }
+
+    if (repoResults.length === 0) {
+      if (incompleteRepos.some(r => r.status === 'computing')) {
+        return { status: 'computing', message: 'GitHub is computing stats...' };
+      }
+      return { status: 'empty', message: 'No contributor data available.' };
+    }
+
+    return arenaResult(repoResults, incompleteRepos);
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return { status: 'aborted' };
+    }
+    if (error.message === RATE_LIMITED) {
+      return rateLimitedResult(error);
+    }
+    console.error('Error fetching arena stats:', error);
+    return { status: 'error', message: error.message };
+  }
+}
+
+/**
+ * Merge whatever is already cached for an arena, without touching the network
+ */
+async function getCachedArenaStats(arena) {
+  const host = arena.host || DEFAULT_HOST;
+  const repoNames = [];
+  for (const member of arena.members) {
+    if (member.includes('/')) {
+      repoNames.push(member);
+      continue;
+    }
+    const key = ownerReposKey(member, host);
+    const { [key]: cached } = await chrome.storage.local.get([key]);
+    if (cached) repoNames.push(...cached.repos);
+  }
+
+  const repoResults = [];
+  for (const name of repoNames) {
+    const [owner, repo] = name.split('/');
+    const cached = await getCachedStats(owner, repo, null, host);
+    if (cached) repoResults.push({ repo: name, ...cachedResult(cached) });
+  }
+
+  if (repoResults.length === 0) return { status: 'miss' };
+  return { ...arenaResult(repoResults, []), fromCache: true };
+}
+
+// --- Scheduled refresh and toolbar badge ---
+
+/**
+ * Arenas pinned in the popup (sync `pinnedArenas`) are refreshed on an alarm,
+ * through the same cache the popup reads, so opening it shows fresh data
+ * straight away. The signed-in user's rank in them goes on the toolbar icon.
+ */
+
+const REFRESH_ALARM = 'pinnedRefresh';
+const REFRESH_PERIOD_MINUTES = 30;
+
+let refreshController = null;
+
+async function getPinnedArenas() {
+  const { pinnedArenas = [] } = await chrome.storage.sync.get(['pinnedArenas']);
+  return pinnedArenas;
+}
+
+function pinnedLabel(arena) {
+  if (arena.type !== 'repo') return arena.name;
+  return `${arena.owner}/${arena.repo}` + (arena.ref ? `@${arena.ref}` : '');
+}
+
+/**
+ * Keep the refresh alarm scheduled while anything is pinned. An existing
+ * alarm is left alone so worker restarts don't push the next refresh back.
+ */
+async function syncRefreshAlarm() {
+  const pinned = await getPinnedArenas();
+  if (pinned.length === 0) {
+    await chrome.alarms.clear(REFRESH_ALARM);
+  } else if (!(await chrome.alarms.get(REFRESH_ALARM))) {
+    await chrome.alarms.create(REFRESH_ALARM, { delayInMinutes: 1, periodInMinutes: REFRESH_PERIOD_MINUTES });
+  }
+  await updateRankBadge();
+}
+
+/**
+ * Refresh each pinned arena in turn. Runs on its own abort signal so it
+ * neither cancels nor is cancelled by a fetch the popup started.
+ */
+async function refreshPinnedArenas() {
+  if (refreshController) return; // Previous refresh still running
+  refreshController = new AbortController();
+  const { signal } = refreshController;
+
+  try {
+    const ranking = await getRankingOptions();
+    for (const arena of await getPinnedArenas()) {
+      const api = await getApi(arena.host || DEFAULT_HOST);
+      if (!api) continue;
+
+      let result;
+      if (arena.type !== 'repo') {
+        result = await loadArenaStats(arena, api, signal);
+      } else if (arena.ref) {
+        result = await loadRefStats(arena.owner, arena.repo, arena.ref, api, signal);
+      } else {
+        result = await loadRepoStats(arena.owner, arena.repo, api, signal);
+      }
+      if (result.status === 'rate_limited') break; // The next alarm picks up the rest
+      if (result.status === 'success') await notifyStandingChanges(arena, ranking).catch(() => {});
+    }
+    await updateRankBadge();
+  } finally {
+    refreshController = null;
+  }
+}
+
+async function getCachedPinnedStats(arena) {
+  if (arena.type !== 'repo') return getCachedArenaStats(arena);
+  const cached = await getCachedStats(arena.owner, arena.repo, arena.ref, arena.host || DEFAULT_HOST);
+  return cached ? cachedResult(cached) : { status: 'miss' };
+}
+
+/**
+ * How pinned arenas are ranked: the user's saved scoring config and identity
+ * rules, over the same period as the page widgets
+ */
+async function getRankingOptions() {
+  const { scoringConfig, identityRules, widgetSettings } = await chrome.storage.sync.get(['scoringConfig', 'identityRules', 'widgetSettings']);
+  return {
+    period: { ...DEFAULT_WIDGET_SETTINGS, ...widgetSettings }.period,
+    config: mergeScoringConfig(DEFAULT_SCORING_CONFIG, scoringConfig),
+    identityRules: identityRules || DEFAULT_IDENTITY_RULES
+  };
+}
+
+function isViewer(contributor, login) {
+  return contributor.login.toLowerCase() === login ||
+    (contributor.aliases || []).some(alias => alias.toLowerCase() === login);
+}
+
+/**
+ * The signed-in user's standing in an arena's cached stats, scored the way
+ * the popup scores them
+ */
+async function viewerStanding(arena, { period, config, identityRules }) {
+  const cached = await getCachedPinnedStats(arena);
+  if (cached.status !== 'success') return null;
+
+  const viewer = await getViewer(arena.host || DEFAULT_HOST);
+  if (!viewer) return null;
+
+  const login = viewer.login.toLowerCase();
+  const processed = processContributors(applyIdentityRules(cached.data, identityRules), period, config);
+  return processed.find(c => isViewer(c, login)) || null;
+}
+
+/**
+ * Badge the toolbar icon with the user's rank in the first pinned arena they
+ * place in, colored by their title there. The tooltip lists every pinned arena.
+ */
+async function updateRankBadge() {
+  const pinned = await getPinnedArenas();
+  const ranking = await getRankingOptions();
+
+  let badge = null;
+  const lines = ['Git Gladiators'];
+  for (const arena of pinned) {
+    const standing = await viewerStanding(arena, ranking).catch(() => null);
+    if (!standing) continue;
+
+    badge = badge || standing;
+    lines.push(`#${standing.rank} ${standing.title} in ${pinnedLabel(arena)}`);
+  }
+
+  await chrome.action.setBadgeText({ text: badge ? `#${badge.rank}` : '' });
+  if (badge) await chrome.action.setBadgeBackgroundColor({ color: badge.color });
+  await chrome.action.setTitle({ title: lines.join('\n') });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== REFRESH_ALARM) return;
+  refreshPinnedArenas().catch(e => console.warn('Pinned arena refresh failed:', e));
+});
+
+chrome.runtime.onInstalled.addListener(syncRefreshAlarm);
+chrome.runtime.onStartup.addListener(syncRefreshAlarm);
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync') return;
+  if (changes.pinnedArenas) {
+    syncRefreshAlarm();
+  } else if (changes.scoringConfig || changes.identityRules || changes.widgetSettings) {
+    updateRankBadge();
+  }
+});
+
+// --- Rank change notifications ---
+
+/**
+ * After each scheduled refresh, a pinned arena's standings are compared with
+ * the previous refresh and the events its pin has enabled (`arena.notify`)
+ * become desktop notifications. Nothing is shown during quiet hours (sync
+ * `quietHours`); those events are dropped, not queued.
+ */
+
+const STANDINGS_PREFIX = 'pinnedStandings:';
+const NOTIFICATION_ARENAS_KEY = 'notificationArenas';
+const PODIUM_SIZE = 3;
+const STREAK_MIN_WEEKS = 2; // Shorter runs aren't worth a warning
+const STREAK_WARNING_DAY = 4; // Warn from Thursday (UTC), while there's still time to commit
+
+function standingsKey(arena) {
+  return STANDINGS_PREFIX + `${arena.host || DEFAULT_HOST}/${arena.type}:${pinnedLabel(arena)}`.toLowerCase();
+}
+
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether `now` falls within quiet hours, which may wrap past midnight
+ */
+function isQuietHours(quietHours, now = new Date()) {
+  if (!quietHours?.enabled) return false;
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  const current = now.getHours() * 60 + now.getMinutes();
+  return start <= end ? current >= start && current < end : current >= start || current < end;
+}
+
+/**
+ * First weekly bucket a period's standings count. Rolling periods move every
+ * refresh, but the standings only change when this does.
+ */
+function periodFirstWeek(period) {
+  const { start } = getPeriodRange(period);
+  const firstWeek = getWeekStartTimestamp(start);
+  return firstWeek * 1000 < start ? firstWeek + WEEK_SECONDS : firstWeek;
+}
+
+/**
+ * Consecutive weeks with commits up to last week, if this week has none yet
+ */
+function streakAtRisk(contributor, thisWeek, config) {
+  const weeks = contributor?.weeks || [];
+  if (weeks.some(week => week.w >= thisWeek && week.c > 0)) return 0;
+  const past = weeks.filter(week => week.w < thisWeek);
+  if (!past.some(week => week.w >= thisWeek - WEEK_SECONDS && week.c > 0)) return 0;
+  return calculateStreak(past, config).streakWeeks;
+}
+
+/**
+ * Compare two refreshes of an arena and describe what changed for the viewer.
+ * Rank events are skipped when the ranking period moved on to a new week in
+ * between, since weeks dropping out of it reshuffle everyone.
+ */
+function detectStandingEvents(previous, current, { standings, contributors, login, label, thisWeek, config }) {
+  const events = [];
+  const me = standings.find(c => isViewer(c, login));
+  const previousRank = me && previous.ranks[me.login];
+
+  if (me && previous.firstWeek === current.firstWeek) {
+    const overtaker = previousRank && standings.find(c => c.rank < me.rank &&
+      (!previous.ranks[c.login] || previous.ranks[c.login] > previousRank));
+    if (overtaker) {
+      events.push({ type: 'overtaken', message: `⚔️ ${overtaker.login} just overtook you for #${overtaker.rank} in ${label}` });
+    }
+    if (me.rank <= PODIUM_SIZE && (!previousRank || previousRank > PODIUM_SIZE)) {
+      events.push({ type: 'podium', message: `🏆 You reached the podium: #${me.rank} in ${label}` });
+    }
+  }
+
+  const streak = streakAtRisk(contributors.find(c => isViewer(c, login)), thisWeek, config);
+  if (streak >= STREAK_MIN_WEEKS && previous.streakWarnedWeek !== thisWeek &&
+      new Date().getUTCDay() >= STREAK_WARNING_DAY) {
+    events.push({ type: 'streak', message: `🔥 Your ${streak}-week streak in ${label} breaks unless you commit this week` });
+  }
+
+  const known = new Set(previous.logins);
+  const newcomers = current.logins.filter(name => !known.has(name) && name !== login);
+  if (newcomers.length > 0) {
+    const who = newcomers.length > 1 ? `${newcomers[0]} and ${newcomers.length - 1} more` : newcomers[0];
+    events.push({ type: 'newcomer', message: `🆕 ${who} entered the arena in ${label}` });
+  }
+
+  return events;
+}
+
+/**
+ * Snapshot a freshly refreshed pinned arena and notify about changes since
+ * the previous snapshot. The first refresh only records a baseline.
+ */
+async function notifyStandingChanges(arena, { period, config, identityRules }) {
+  const cached = await getCachedPinnedStats(arena);
+  const viewer = await getViewer(arena.host || DEFAULT_HOST);
+  if (cached.status !== 'success' || !viewer) return;
+
+  const contributors = applyIdentityRules(cached.data, identityRules);
+  const standings = processContributors(contributors, period, config);
+  const thisWeek = getWeekStartTimestamp(Date.now());
+  const current = {
+    firstWeek: periodFirstWeek(period),
+    ranks: Object.fromEntries(standings.map(c => [c.login, c.rank])),
+    logins: contributors.map(c => c.login.toLowerCase())
+  };
+
+  const key = standingsKey(arena);
+  const { [key]: previous } = await chrome.storage.local.get([key]);
+  current.streakWarnedWeek = previous?.streakWarnedWeek || null;
+
+  if (previous) {
+    const { quietHours } = await chrome.storage.sync.get(['quietHours']);
+    const events = detectStandingEvents(previous, current, {
+      standings, contributors, thisWeek, config,
+      login: viewer.login.toLowerCase(),
+      label: pinnedLabel(arena)
+    });
+
+    for (const event of events) {
+      if (!arena.notify?.[event.type] || isQuietHours(quietHours)) continue;
+      await showNotification(arena, event.message);
+      if (event.type === 'streak') current.streakWarnedWeek = thisWeek;
+    }
+  }
+
+  await chrome.storage.local.set({ [key]: current });
+}
+
+/**
+ * Show a notification, remembering which arena a click on it should open
+ */
+async function showNotification(arena, message) {
+  const id = await chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: 'Git Gladiators',
+    message
+  });
+  const { [NOTIFICATION_ARENAS_KEY]: arenas = {} } = await chrome.storage.session.get([NOTIFICATION_ARENAS_KEY]);
+  await chrome.storage.session.set({ [NOTIFICATION_ARENAS_KEY]: { ...arenas, [id]: arena } });
+}
+
+/**
+ * GitHub page for an arena: the repo itself, or the first member of a
+ * multi-repo arena
+ */
+function arenaPageUrl(arena) {
+  const path = arena.type === 'repo' ? `${arena.owner}/${arena.repo}` : arena.members[0];
+  return `https://${arena.host || DEFAULT_HOST}/${path}`;
+}
+
+/**
+ * Hand the arena to the popup (session `openArena`, read on its next open) and
+ * open the popup. Without a focused window to open it in, open the arena's
+ * GitHub page instead.
+ */
+async function openArenaLeaderboard(arena) {
+  await chrome.storage.session.set({ openArena: arena });
+  try {
+    await chrome.action.openPopup();
+  } catch {
+    await chrome.tabs.create({ url: arenaPageUrl(arena) });
+  }
+}
+
+chrome.notifications.onClicked.addListener(async (id) => {
+  const { [NOTIFICATION_ARENAS_KEY]: arenas = {} } = await chrome.storage.session.get([NOTIFICATION_ARENAS_KEY]);
+  const arena = arenas[id];
+  chrome.notifications.clear(id);
+  if (!arena) return;
+
+  delete arenas[id];
+  await chrome.storage.session.set({ [NOTIFICATION_ARENAS_KEY]: arenas });
+  openArenaLeaderboard(arena);
+});
+
+chrome.notifications.onClosed.addListener(async (id) => {
+  const { [NOTIFICATION_ARENAS_KEY]: arenas = {} } = await chrome.storage.session.get([NOTIFICATION_ARENAS_KEY]);
+  if (!arenas[id]) return;
+  delete arenas[id];
+  await chrome.storage.session.set({ [NOTIFICATION_ARENAS_KEY]: arenas });
+});
+
+// --- Squads ---
+
+let teamsAbortController = null;
+
+/**
+ * GET every page of a REST list, following the Link header. Returns the
+ * first failed response instead of items if any page fails.
+ */
+async function fetchAllPages(api, url, headers, signal) {
+  const items = [];
+  while (url) {
+    const response = await githubFetch(api, url, { headers, signal });
+    if (!response.ok) return { response };
+    items.push(...await response.json());
+    url = getNextPageUrl(response.headers.get('link'));
+  }
+  return { items };
+}
+
+/**
+ * Turn an org's GitHub teams into squad rosters. Needs the read:org scope.
+ * A new request aborts one still in flight.
+ */
+async function fetchOrgTeams(org, host = DEFAULT_HOST) {
+  const api = await getApi(host);
+  if (!api) {
+    return { status: 'no_token', message: 'GitHub token required' };
+  }
+
+  teamsAbortController?.abort();
+  const controller = new AbortController();
+  teamsAbortController = controller;
+  const { signal } = controller;
+  const headers = githubHeaders(api);
+
+  try {
+    const { items: teams, response: teamsResponse } = await fetchAllPages(api, `${api.rest}/orgs/${org}/teams?per_page=100`, headers, signal);
+
+    if (teamsResponse?.status === 401 || teamsResponse?.status === 403) {
+      return { status: 'forbidden', message: 'Listing teams needs a token with the read:org scope.' };
+    }
+    if (teamsResponse?.status === 404) {
+      return { status: 'not_found', message: `Organization ${org} not found.` };
+    }
+    if (teamsResponse) {
+      return { status: 'error', message: `HTTP ${teamsResponse.status}` };
+    }
+
+    const squads = [];
+    for (const team of teams) {
+      const { items: members } = await fetchAllPages(api, `${api.rest}/orgs/${org}/teams/${team.slug}/members?per_page=100`, headers, signal);
+      if (!members) continue;
+      squads.push({ name: team.name, members: members.map(m => m.login) });
+    }
+
+    return { status: 'success', squads };
+  } catch (error) {
+    if (error.name === 'AbortError') return { status: 'aborted' };
+    if (error.message === RATE_LIMITED) return rateLimitedResult(error);
+    return { status: 'error', message: error.message };
+  } finally {
+    if (teamsAbortController === controller) teamsAbortController = null;
+  }
+}
+
+// --- Pull request and review activity ---
+
+const PULLS_PREFIX = 'pullActivity:';
+const PULLS_PAGES_PER_SYNC = 20; // 50 PRs per page
+
+const PULLS_QUERY = `
+  query($owner: String!, $repo: String!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequests(first: 50, after: $cursor, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number
+          createdAt
+          updatedAt
+          mergedAt
+          baseRefName
+          author { login avatarUrl url }
+          reviews(first: 50) {
+            pageInfo { hasNextPage endCursor }
+            nodes {
+              submittedAt
+              author { login avatarUrl url }
+              comments { totalCount }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// The rest of a PR's reviews, for the few with more than one page
+const REVIEWS_QUERY = `
+  query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        reviews(first: 50, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            submittedAt
+            author { login avatarUrl url }
+            comments { totalCount }
+          }
+        }
+      }
+    }
+  }
+`;
+
+function pullsKey(owner, repo, host = DEFAULT_HOST) {
+  return PULLS_PREFIX + repoStorageName(owner, repo, null, host);
+}
+
+// Bump when the stored PR tuple changes shape; older activity is re-fetched
+const PULLS_VERSION = 2;
+
+/**
+ * Stored PR activity: `pulls` maps PR number to
+ * [author, createdAt, mergedAt, [[reviewer, submittedAt, commentCount]], baseRef]
+ * (times in unix seconds), `people` keeps avatars for logins that may not
+ * have commits, and `syncedAt` is when the last sync that caught up started.
+ * A sync cut short by the page cap leaves `cursor` (and `startedAt`, when the
+ * interrupted walk began) for the next one to resume from.
+ */
+async function getPullActivity(owner, repo, host = DEFAULT_HOST) {
+  const key = pullsKey(owner, repo, host);
+  const result = await chrome.storage.local.get([key]);
+  const activity = result[key];
+  if (activity?.version === PULLS_VERSION) return activity;
+  return { version: PULLS_VERSION, pulls: {}, people: {}, syncedAt: 0 };
+}
+
+function toUnixSeconds(isoDate) {
+  return Math.floor(new Date(isoDate).getTime() / 1000);
+}
+
+function rememberPerson(people, actor) {
+  if (!actor?.login) return;
+  people[actor.login.toLowerCase()] = {
+    login: actor.login,
+    avatar: actor.avatarUrl || '',
+    profileUrl: actor.url || ''
+  };
+}
+
+function toStoredPull(pr, people) {
+  const author = pr.author?.login || null;
+  rememberPerson(people, pr.author);
+
+  // Pending reviews have no submittedAt; replies on your own PR aren't reviews
+  const reviews = pr.reviews.nodes
+    .filter(r => r.submittedAt && r.author?.login && r.author.login !== author)
+    .map(r => {
+      rememberPerson(people, r.author);
+      return [r.author.login, toUnixSeconds(r.submittedAt), r.comments.totalCount];
+    });
+
+  return [author, toUnixSeconds(pr.createdAt), pr.mergedAt ? toUnixSeconds(pr.mergedAt) : null, reviews, pr.baseRefName];
+}
+
+/**
+ * Fetch PRs updated since the last sync (newest first) and drop PRs with no
+ * activity inside PULLS_WINDOW_MS. A busy repo's walk stops after
+ * PULLS_PAGES_PER_SYNC pages and resumes there on the next sync; `syncedAt`
+ * only moves once a walk has caught up.
+ */
+async function syncPullActivity(owner, repo, api, signal) {
+  const activity = await getPullActivity(owner, repo, api.host);
+  const startedAt = activity.cursor ? activity.startedAt : Date.now();
+  const windowStart = Date.now() - PULLS_WINDOW_MS;
+  const stopAt = Math.max(activity.syncedAt, windowStart);
+
+  let cursor = activity.cursor || null;
+  let caughtUp = false;
+  try {
+    for (let page = 0; page < PULLS_PAGES_PER_SYNC && !caughtUp; page++) {
+      const data = await postGraphQL(api, signal, PULLS_QUERY, { owner, repo, cursor });
+      const pulls = data.repository?.pullRequests;
+      if (!pulls?.nodes) throw new Error('No pull requests returned');
+
+      for (const pr of pulls.nodes) {
+        if (new Date(pr.updatedAt).getTime() < stopAt) {
+          caughtUp = true;
+          break;
+        }
+        await fetchRemainingReviews(owner, repo, api, signal, pr);
+        activity.pulls[pr.number] = toStoredPull(pr, activity.people);
+      }
+
+      if (!pulls.pageInfo.hasNextPage) caughtUp = true;
+      cursor = pulls.pageInfo.endCursor;
+    }
+  } finally {
+    const windowStartSec = windowStart / 1000;
+    for (const [number, [, createdAt, mergedAt, reviews]] of Object.entries(activity.pulls)) {
+      const latest = Math.max(createdAt, mergedAt || 0, ...reviews.map(r => r[1]));
+      if (latest < windowStartSec) delete activity.pulls[number];
+    }
+
+    if (caughtUp) {
+      activity.syncedAt = startedAt;
+      delete activity.cursor;
+      delete activity.startedAt;
+    } else {
+      activity.cursor = cursor;
+      activity.startedAt = startedAt;
+    }
+    await chrome.storage.local.set({ [pullsKey(owner, repo, api.host)]: activity });
+  }
+  return activity;
+}
+
+/**
+ * Page through a PR's reviews past the first 50, in place
+ */
+async function fetchRemainingReviews(owner, repo, api, signal, pr) {
+  let pageInfo = pr.reviews.pageInfo;
+  while (pageInfo?.hasNextPage) {
+    const data = await postGraphQL(api, signal, REVIEWS_QUERY, { owner, repo, number: pr.number, cursor: pageInfo.endCursor });
+    const reviews = data.repository?.pullRequest?.reviews;
+    if (!reviews?.nodes) break;
+    pr.reviews.nodes.push(...reviews.nodes);
+    pageInfo = reviews.pageInfo;
+  }
+}
+
+/**
+ * Sync PR activity and apply it to contributors' weekly buckets. With `ref`,
+ * only PRs into that branch count (none, for tags and commits).
+ */
+async function applyPullRequestStats(owner, repo, api, signal, contributors, ref = null) {
+  let activity;
+  try {
+    activity = await syncPullActivity(owner, repo, api, signal);
+  } catch (e) {
+    if (e.name === 'AbortError') throw e;
+    console.warn('PR activity sync failed, using stored activity:', e);
+    activity = await getPullActivity(owner, repo, api.host);
+  }
+
+  applyPullActivity(activity, contributors, ref);
+}
+
+/**
+ * Count PRs opened/merged and reviews/review comments into weekly buckets.
+ * Reviewers without commits join the contributor list. With `baseRef`, PRs
+ * into other branches are skipped.
+ */
+function applyPullActivity(activity, contributors, baseRef = null) {
+  const byLogin = new Map(contributors.map(c => [c.login.toLowerCase(), c]));
+
+  // Reset counters from a previous application (cached data is re-processed)
+  for (const contributor of contributors) {
+    for (const week of contributor.weeks) {
+      delete week.p;
+      delete week.m;
+      delete week.r;
+      delete week.rc;
+    }
+  }
+
+  const bump = (login, timestamp, field, amount = 1) => {
+    const key = login.toLowerCase();
+    let contributor = byLogin.get(key);
+    if (!contributor) {
+      const person = activity.people[key] || { login, avatar: '', profileUrl: '' };
+      contributor = { login: person.login, avatar: person.avatar, profileUrl: person.profileUrl, weeks: [] };
+      contributors.push(contributor);
+      byLogin.set(key, contributor);
+    }
+
+    const weekStart = getWeekStartTimestamp(new Date(timestamp * 1000));
+    let week = contributor.weeks.find(w => w.w === weekStart);
+    if (!week) {
+      week = { w: weekStart, a: 0, d: 0, c: 0 };
+      contributor.weeks.push(week);
+    }
+    week[field] = (week[field] || 0) + amount;
+  };
+
+  for (const [author, createdAt, mergedAt, reviews, base] of Object.values(activity.pulls)) {
+    if (baseRef && base !== baseRef) continue;
+    if (author) {
+      bump(author, createdAt, 'p');
+      if (mergedAt) bump(author, mergedAt, 'm');
+    }
+    for (const [reviewer, submittedAt, comments] of reviews) {
+      bump(reviewer, submittedAt, 'r');
+      if (comments > 0) bump(reviewer, submittedAt, 'rc', comments);
+    }
+  }
+}
+
+// --- Commit history backfill ---
+
+const HISTORY_PREFIX = 'commitHistory:';
+const HISTORY_PAGES_PER_SYNC = 20; // 100 commits per page
+const WEEK_SECONDS = 7 * 24 * 60 * 60;
+
+const HISTORY_QUERY = `
+  query($owner: String!, $repo: String!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      defaultBranchRef {
+        target {
+          ... on Commit {
+            history(first: 100, after: $cursor) {
+              pageInfo { hasNextPage endCursor }
+              nodes {
+                oid
+                additions
+                deletions
+                committedDate
+                author { email name user { login avatarUrl url } }
+                committer { date }
+                parents(first: 10) { nodes { oid } }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Same page shape for any branch, tag (annotated or not) or commit expression
+const REF_HISTORY_QUERY = `
+  query($owner: String!, $repo: String!, $cursor: String, $expression: String!) {
+    repository(owner: $owner, name: $repo) {
+      object(expression: $expression) {
+        ...HistoryPage
+        ... on Tag { target { ...HistoryPage } }
+      }
+    }
+  }
+
+  fragment HistoryPage on Commit {
+    history(first: 100, after: $cursor) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        oid
+        additions
+        deletions
+        committedDate
+        author { email name user { login avatarUrl url } }
+        committer { date }
+        parents(first: 10) { nodes { oid } }
+      }
+    }
+  }
+`;
+
+const HISTORY_NOT_FOUND = 'No commit history returned';
+
+// Bump when the stored commit tuple changes shape; older histories are re-fetched
+// (3: committer UTC offset)
+const HISTORY_VERSION = 3;
+
+function historyKey(owner, repo, ref = null, host = DEFAULT_HOST) {
+  return HISTORY_PREFIX + repoStorageName(owner, repo, ref, host);
+}
+
+/**
+ * Stored history: `commits` holds [oid, login, committedAt (unix s), additions,
+ * deletions, committer's UTC offset (minutes)] tuples in the order they were
+ * fetched, with the author's email and name appended when the commit isn't
+ * linked to a GitHub account (login is null). `people` keeps avatars of
+ * linked authors. `backfillCursor` is where the walk toward the root commit
+ * resumes; `complete` is set once it gets there. `headWalk` holds the cursor
+ * and still-missing parent oids of a walk from the head that ran out of
+ * pages. `ref` selects a branch/tag history instead of the default branch.
+ */
+async function getCommitHistory(owner, repo, ref = null, host = DEFAULT_HOST) {
+  const key = historyKey(owner, repo, ref, host);
+  const result = await chrome.storage.local.get([key]);
+  const history = result[key];
+  if (history?.version === HISTORY_VERSION) return history;
+  return { version: HISTORY_VERSION, commits: [], people: {}, backfillCursor: null, complete: false };
+}
+
+async function saveCommitHistory(owner, repo, history, ref = null, host = DEFAULT_HOST) {
+  await chrome.storage.local.set({ [historyKey(owner, repo, ref, host)]: history });
+}
+
+async function fetchHistoryPage(owner, repo, api, signal, cursor, ref = null) {
+  let history;
+  if (ref) {
+    const data = await postGraphQL(api, signal, REF_HISTORY_QUERY, { owner, repo, cursor, expression: ref });
+    const object = data.repository?.object;
+    history = object?.history || object?.target?.history;
+  } else {
+    const data = await postGraphQL(api, signal, HISTORY_QUERY, { owner, repo, cursor });
+    history = data.repository?.defaultBranchRef?.target?.history;
+  }
+  if (!history?.nodes) throw new Error(HISTORY_NOT_FOUND);
+  return history;
+}
+
+/**
+ * Minutes east of UTC in a GitTimestamp, which keeps the committer's own offset
+ */
+function utcOffsetMinutes(timestamp) {
+  const match = /([+-])(\d{2}):?(\d{2})$/.exec(timestamp || '');
+  if (!match) return 0;
+  return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+}
+
+function toStoredCommit(node, people) {
+  const user = node.author?.user;
+  const login = user?.login || null;
+  if (user && people) {
+    people[login.toLowerCase()] = { login, avatar: user.avatarUrl || '', profileUrl: user.url || '' };
+  }
+
+  const commit = [
+    login,
+    Math.floor(new Date(node.committedDate).getTime() / 1000),
+    node.additions || 0,
+    node.deletions || 0,
+    utcOffsetMinutes(node.committer?.date)
+  ];
+  if (!login) {
+    commit.push((node.author?.email || '').toLowerCase(), node.author?.name || '');
+  }
+  return [node.oid, ...commit];
+}
+
+/**
+ * Bring the stored history up to date: pick up commits newer than the stored
+ * ones, then continue the backfill where the previous sync stopped. At most
+ * HISTORY_PAGES_PER_SYNC queries are spent per call, so large repos fill in
+ * over several popup sessions.
+ *
+ * Merging a branch brings in commits dated before the stored head, so the
+ * walk from the head doesn't stop at the first known commit: it goes on
+ * until every new commit's parents are known, or lie beyond the backfill's
+ * reach. A walk that runs out of pages resumes from its own cursor on the
+ * next sync, leaving the backfill's cursor where it was.
+ */
+async function syncCommitHistory(owner, repo, api, signal, ref = null) {
+  const history = await getCommitHistory(owner, repo, ref, api.host);
+  history.people = history.people || {};
+  delete history.rewalkSeen; // Replaced by headWalk
+  const knownOids = new Set(history.commits.map(c => c[0]));
+  let pagesLeft = HISTORY_PAGES_PER_SYNC;
+
+  try {
+    if (history.commits.length > 0) {
+      // Finish an interrupted walk first, then look for commits pushed since
+      const walks = history.headWalk ? [history.headWalk, null] : [null];
+      delete history.headWalk;
+      for (const resumed of walks) {
+        if (pagesLeft === 0) break;
+        const result = await walkFromHead(owner, repo, api, signal, ref, history, knownOids, resumed, pagesLeft);
+        pagesLeft = result.pagesLeft;
+        if (result.unfinished) {
+          history.headWalk = result.unfinished;
+          break;
+        }
+      }
+    }
+
+    while (!history.complete && pagesLeft > 0) {
+      const page = await fetchHistoryPage(owner, repo, api, signal, history.backfillCursor, ref);
+      pagesLeft--;
+
+      for (const node of page.nodes) {
+        if (knownOids.has(node.oid)) continue;
+        knownOids.add(node.oid);
+        history.commits.push(toStoredCommit(node, history.people));
+      }
+      history.backfillCursor = page.pageInfo.endCursor;
+      history.complete = !page.pageInfo.hasNextPage;
+    }
+  } finally {
+    // Every page leaves the history consistent, so keep partial progress
+    await saveCommitHistory(owner, repo, history, ref, api.host);
+  }
+
+  return history;
 }
 
-async function saveToken(token) {
-  await chrome.storage.local.set({ githubToken: token });
-}
+/**
+ * One walk from the head (or from `resumed`, where an earlier one stopped),
+ * adding unknown commits until none of their parents is missing. Returns the
+ * pages left and, if they ran out first, the state to resume from.
+ */
+async function walkFromHead(owner, repo, api, signal, ref, history, knownOids, resumed, pagesLeft) {
+  const missing = new Set(resumed?.missing || []);
+  const fromHead = !resumed;
+  const walked = new Set();
+  // Commits older than the stored ones are the backfill's to fetch
+  const oldest = history.complete ? -Infinity : history.commits.reduce((min, c) => Math.min(min, c[2]), Infinity);
+  let cursor = resumed?.cursor || null;
 
-async function clearToken() {
-  await chrome.storage.local.remove(['githubToken']);
-}
+  while (pagesLeft > 0) {
+    const page = await fetchHistoryPage(owner, repo, api, signal, cursor, ref);
+    pagesLeft--;
 
-// --- GitHub API helpers ---
+    for (const node of page.nodes) {
+      walked.add(node.oid);
+      missing.delete(node.oid);
+      if (knownOids.has(node.oid)) continue;
+      knownOids.add(node.oid);
+      history.commits.push(toStoredCommit(node, history.people));
+      for (const parent of node.parents?.nodes || []) {
+        if (!knownOids.has(parent.oid)) missing.add(parent.oid);
+      }
+    }
 
-function getNextPageUrl(linkHeader) {
-  if (!linkHeader) return null;
-  const match = linkHeader.match(/<([^>]+)>;\s*rel="next"/);
-  return match ? match[1] : null;
-}
+    if (!page.pageInfo.hasNextPage) {
+      if (fromHead) {
+        // Walked the whole history: anything it didn't reach was rewritten away
+        history.commits = history.commits.filter(c => walked.has(c[0]));
+        knownOids.clear();
+        for (const oid of walked) knownOids.add(oid);
+        history.backfillCursor = null;
+        history.complete = true;
+      }
+      return { pagesLeft };
+    }
 
-function githubHeaders(token) {
-  return {
-    'Accept': 'application/vnd.github.v3+json',
-    'Authorization': `Bearer ${token}`,
-    'X-GitHub-Api-Version': '2022-11-28'
-  };
-}
+    const last = page.nodes[page.nodes.length - 1];
+    const pastBackfill = last && toUnixSeconds(last.committedDate) < oldest;
+    if (missing.size === 0 || pastBackfill) return { pagesLeft };
+    cursor = page.pageInfo.endCursor;
+  }
 
-function getWeekStartTimestamp(date) {
-  const d = new Date(date);
-  d.setUTCHours(0, 0, 0, 0);
-  d.setUTCDate(d.getUTCDate() - d.getUTCDay());
-  return Math.floor(d.getTime() / 1000);
+  return { pagesLeft, unfinished: { cursor, missing: [...missing] } };
 }
 
-let currentAbortController = null;
-
 /**
- * Fetch contributor stats from multiple GitHub API sources
+ * Fetch accurate per-commit stats via GraphQL and apply to contributors.
+ * Returns true once the stored history reaches the repository's first commit
+ * and every large commit has been checked for excluded paths.
  */
-async function fetchContributorStats(owner, repo) {
-  // Abort any previous in-flight request
-  if (currentAbortController) {
-    currentAbortController.abort();
+async function applyGraphQLStats(owner, repo, api, signal, contributors, exclusions = []) {
+  let history;
+  try {
+    history = await syncCommitHistory(owner, repo, api, signal);
+  } catch (e) {
+    if (e.name === 'AbortError') throw e;
+    console.warn('GraphQL history sync failed, using stored history:', e);
+    history = await getCommitHistory(owner, repo, null, api.host);
   }
-  currentAbortController = new AbortController();
-  const { signal } = currentAbortController;
 
-  const token = await getToken();
+  const { files, complete: filesComplete } = await syncCommitFiles(owner, repo, api, signal, history, exclusions);
+  applyCommitHistory(history, contributors, { files, isExcluded: createPathMatcher(exclusions) });
+  return history.complete && filesComplete;
+}
+
+/**
+ * Replace stats API a/d values with per-commit GraphQL totals for every week
+ * the stored history fully covers. Older weeks keep the stats API numbers
+ * until the backfill reaches them. Commits whose email isn't linked to a
+ * GitHub account become `unlinked` contributors keyed by email.
+ * With `countCommits`, weekly commit counts come from the history too.
+ * Lines in files matching `isExcluded` move from a/d to xa/xd.
+ */
+function applyCommitHistory(history, contributors, { countCommits = false, files = {}, isExcluded = null } = {}) {
+  if (history.commits.length === 0) return;
 
-  if (!token) {
-    return { status: 'no_token', message: 'GitHub token required for private repos' };
+  const oldest = history.commits.reduce((min, c) => Math.min(min, c[2]), Infinity);
+  let coverageStart = 0;
+  if (!history.complete) {
+    // The oldest stored week may be only partially backfilled
+    coverageStart = getWeekStartTimestamp(new Date(oldest * 1000)) + WEEK_SECONDS;
   }
 
-  const headers = githubHeaders(token);
-  const baseUrl = `https://api.github.com/repos/${owner}/${repo}`;
+  // Group commits by author and week
+  const authorWeekMap = new Map(); // login or email -> Map(weekStart -> {a, d, c, xa, xd, we, fy})
+  const unlinkedAuthors = new Map(); // email -> name
+  const firstOfYear = new Map(); // committer-local year -> { localAt, week }
+  for (const [oid, login, committedAt, additions, deletions, offset, email, name] of history.commits) {
+    const weekStart = getWeekStartTimestamp(new Date(committedAt * 1000));
+    if (weekStart < coverageStart) continue;
 
-  try {
-    // Fetch stats/contributors (not paginated) and first page of contributors list
-    const [statsResponse, listResponse] = await Promise.all([
-      fetch(`${baseUrl}/stats/contributors`, { headers, signal }),
-      fetch(`${baseUrl}/contributors?per_page=100`, { headers, signal }).catch(() => null)
-    ]);
+    const key = login ? login.toLowerCase() : email || name;
+    if (!key) continue;
+    if (!login) unlinkedAuthors.set(key, name || key);
 
-    // Handle stats endpoint errors
-    if (statsResponse.status === 202) {
-      return { status: 'computing', message: 'GitHub is computing stats...' };
-    }
-    if (statsResponse.status === 401) {
-      return { status: 'invalid_token', message: 'Invalid or expired token' };
+    if (!authorWeekMap.has(key)) {
+      authorWeekMap.set(key, new Map());
     }
-    if (statsResponse.status === 403) {
-      const remaining = statsResponse.headers.get('x-ratelimit-remaining');
-      if (remaining === '0') {
-        return { status: 'rate_limited', message: 'Rate limited. Try again later.' };
-      }
-      return { status: 'forbidden', message: 'Access forbidden. Check token permissions.' };
-    }
-    if (statsResponse.status === 404) {
-      return { status: 'not_found', message: 'Repository not found or no access.' };
-    }
-    if (!statsResponse.ok) {
-      return { status: 'error', message: `HTTP ${statsResponse.status}` };
+    const weekMap = authorWeekMap.get(key);
+
+    if (!weekMap.has(weekStart)) {
+      weekMap.set(weekStart, { a: 0, d: 0, c: 0, xa: 0, xd: 0, we: 0, fy: 0 });
     }
+    const week = weekMap.get(weekStart);
+    const excluded = isExcluded && files[oid] ? excludedLines(files[oid], isExcluded) : { a: 0, d: 0 };
+    week.a += Math.max(0, additions - excluded.a);
+    week.d += Math.max(0, deletions - excluded.d);
+    week.xa += excluded.a;
+    week.xd += excluded.d;
+    week.c++;
 
-    const statsData = await statsResponse.json();
+    // Weekends and new years fall where the committer was
+    const localAt = new Date((committedAt + offset * 60) * 1000);
+    if (localAt.getUTCDay() % 6 === 0) week.we++;
+    const year = localAt.getUTCFullYear();
+    if (!(firstOfYear.get(year)?.localAt <= localAt)) firstOfYear.set(year, { localAt, week });
+  }
 
-    // Paginate through all contributors
-    let listData = [];
-    if (listResponse?.ok) {
-      listData = await listResponse.json();
-      // Check for more pages via Link header
-      let nextUrl = getNextPageUrl(listResponse.headers.get('link'));
-      while (nextUrl) {
-        const nextResponse = await fetch(nextUrl, { headers, signal });
-        if (!nextResponse.ok) break;
-        const nextData = await nextResponse.json();
-        if (!Array.isArray(nextData) || nextData.length === 0) break;
-        listData = listData.concat(nextData);
-        nextUrl = getNextPageUrl(nextResponse.headers.get('link'));
-      }
-    }
+  // A year's first commit is only known once the history reaches back past
+  // its New Year (a day early, for committers ahead of UTC)
+  for (const [year, { week }] of firstOfYear) {
+    if (history.complete || oldest < (Date.UTC(year, 0, 1) - DAY_MS) / 1000) week.fy = 1;
+  }
 
-    // Build contributor map from stats data
-    const contributorMap = new Map();
+  // The stats API ignores unlinked commits, so those authors only exist here
+  const known = new Set(contributors.map(c => c.login.toLowerCase()));
+  for (const [email, name] of unlinkedAuthors) {
+    if (known.has(email)) continue;
+    contributors.push({ login: email, name, unlinked: true, avatar: '', profileUrl: '', weeks: [] });
+  }
 
-    if (Array.isArray(statsData)) {
-      for (const stat of statsData) {
-        const login = stat.author?.login;
-        if (!login) continue;
+  for (const contributor of contributors) {
+    // Unlinked authors are absent from the stats API, so their commit counts come from here too
+    const ownsCommits = countCommits || contributor.unlinked;
 
-        contributorMap.set(login.toLowerCase(), {
-          login,
-          avatar: stat.author?.avatar_url || '',
-          profileUrl: stat.author?.html_url || '',
-          weeks: stat.weeks || []
-        });
+    // Zero out stats API's a/d within the covered range
+    for (const week of contributor.weeks) {
+      if (week.w >= coverageStart) {
+        week.a = 0;
+        week.d = 0;
+        delete week.xa;
+        delete week.xd;
+        delete week.we;
+        delete week.fy;
+        if (ownsCommits) week.c = 0;
       }
     }
 
-    // Merge missing contributors from the contributors list endpoint
-    if (Array.isArray(listData)) {
-      for (const c of listData) {
-        if (!c.login) continue;
-        const key = c.login.toLowerCase();
-        if (!contributorMap.has(key)) {
-          contributorMap.set(key, {
-            login: c.login,
-            avatar: c.avatar_url || '',
-            profileUrl: c.html_url || '',
-            weeks: [],
-            totalCommits: c.contributions || 0
-          });
-        }
-      }
-    }
+    const weekMap = authorWeekMap.get(contributor.login.toLowerCase());
+    if (!weekMap) continue;
 
-    if (contributorMap.size === 0) {
-      return { status: 'empty', message: 'No contributor data available.' };
+    // Apply GraphQL data
+    for (const [weekStart, stats] of weekMap) {
+      const existing = contributor.weeks.find(w => w.w === weekStart);
+      const week = existing || { w: weekStart, a: 0, d: 0, c: 0 };
+      week.a = stats.a;
+      week.d = stats.d;
+      if (ownsCommits) week.c = stats.c;
+      // Optional counters are only set when nonzero
+      if (stats.xa) week.xa = stats.xa;
+      if (stats.xd) week.xd = stats.xd;
+      if (stats.we) week.we = stats.we;
+      if (stats.fy) week.fy = stats.fy;
+      if (!existing) contributor.weeks.push(week);
     }
+  }
+}
 
-    const contributors = Array.from(contributorMap.values());
+// --- Path exclusions (generated, lockfile and vendored code) ---
 
-    // Fetch accurate per-commit additions/deletions via GraphQL
-    // The stats/contributors REST API returns unreliable per-week a/d data
-    await applyGraphQLStats(owner, repo, token, signal, contributors);
+const FILES_PREFIX = 'commitFiles:';
+const FILES_SCAN_MIN_LINES = 100; // Smaller commits are counted as-is
+const FILES_PER_SYNC = 40;
 
-    return { status: 'success', data: contributors };
+const DEFAULT_PATH_EXCLUSIONS = [
+  'package-lock.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  '*.lock',
+  'go.sum',
+  '**/dist/**',
+  '**/build/**',
+  '**/vendor/**',
+  '**/third_party/**',
+  '**/node_modules/**',
+  '*.min.js',
+  '*.min.css',
+  '*.map',
+  '**/__snapshots__/**',
+  '*.snap'
+];
 
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      return { status: 'aborted' };
+/**
+ * Globs for a repo: its own list if set, else the shared list (`*`), else the
+ * defaults. Without a repo, the shared list. Repo lists are keyed by
+ * repoStorageName, so GHES repos don't share a github.com repo's list.
+ */
+async function getPathExclusions(owner, repo, host = DEFAULT_HOST) {
+  const { pathExclusions = {} } = await chrome.storage.sync.get(['pathExclusions']);
+  const own = repo ? pathExclusions[repoStorageName(owner, repo, null, host)] : null;
+  return own || pathExclusions['*'] || DEFAULT_PATH_EXCLUSIONS;
+}
+
+/**
+ * Gitignore-flavoured globs: `**` spans directories, `*` stays within one,
+ * and a glob without a slash matches the file name at any depth
+ */
+function pathGlobToRegExp(glob) {
+  let rest = glob.replace(/^\//, '');
+  const anchored = glob.includes('/') && !rest.startsWith('**/');
+  rest = rest.replace(/^\*\*\//, '');
+
+  const source = rest
+    .split(/(\/\*\*\/|\*\*|\*|\?)/)
+    .map(part => {
+      if (part === '/**/') return '/(.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`${anchored ? '^' : '(^|/)'}${source}$`, 'i');
+}
+
+function createPathMatcher(exclusions) {
+  if (exclusions.length === 0) return null;
+  const patterns = exclusions.map(pathGlobToRegExp);
+  return path => patterns.some(re => re.test(path));
+}
+
+/**
+ * Lines a commit spent on excluded paths, from its stored [path, a, d] file list
+ */
+function excludedLines(files, isExcluded) {
+  const excluded = { a: 0, d: 0 };
+  for (const [path, additions, deletions] of files) {
+    if (!isExcluded(path)) continue;
+    excluded.a += additions;
+    excluded.d += deletions;
+  }
+  return excluded;
+}
+
+/**
+ * Fetch per-file line counts for large commits, newest first. GraphQL only
+ * has commit totals, so this costs one REST request per commit and is spread
+ * over syncs like the history backfill. File lists are kept for every path so
+ * changed globs apply without refetching. `complete` is false while large
+ * commits are still unscanned. Lists are kept per ref, like the history they
+ * are pruned against.
+ */
+async function syncCommitFiles(owner, repo, api, signal, history, exclusions, ref = null) {
+  const key = FILES_PREFIX + repoStorageName(owner, repo, ref, api.host);
+  const { [key]: files = {} } = await chrome.storage.local.get([key]);
+  if (exclusions.length === 0) return { files, complete: true };
+
+  const pending = history.commits
+    .filter(([oid, , , additions, deletions]) => additions + deletions >= FILES_SCAN_MIN_LINES && !files[oid])
+    .sort((a, b) => b[2] - a[2]);
+  if (pending.length === 0) return { files, complete: true };
+
+  const headers = githubHeaders(api);
+  let scanned = 0;
+  try {
+    for (const [oid] of pending.slice(0, FILES_PER_SYNC)) {
+      const commitFiles = await fetchCommitFiles(owner, repo, oid, api, signal, headers);
+      // Stop on rate limits or errors; the next sync picks up where this one left off
+      if (!commitFiles) break;
+      files[oid] = commitFiles;
+      scanned++;
     }
-    console.error('Error fetching contributor stats:', error);
-    return { status: 'error', message: error.message };
+  } catch (e) {
+    if (e.name === 'AbortError') throw e;
+    console.warn('Commit file fetch failed:', e);
+  } finally {
+    // Drop commits that left the history (force-pushes, resets)
+    const known = new Set(history.commits.map(c => c[0]));
+    for (const oid of Object.keys(files)) {
+      if (!known.has(oid)) delete files[oid];
+    }
+    await chrome.storage.local.set({ [key]: files });
   }
+  return { files, complete: scanned === pending.length };
 }
 
 /**
- * Fetch accurate per-commit stats via GraphQL and apply to contributors.
- * One query = 100 commits with additions/deletions. ~5 queries covers months of history.
- */
-async function applyGraphQLStats(owner, repo, token, signal, contributors) {
-  const query = `
-    query($owner: String!, $repo: String!, $cursor: String, $since: GitTimestamp) {
-      repository(owner: $owner, name: $repo) {
-        defaultBranchRef {
-          target {
-            ... on Commit {
-              history(first: 100, after: $cursor, since: $since) {
-                pageInfo { hasNextPage endCursor }
-                nodes {
-                  additions
-                  deletions
-                  committedDate
-                  author { user { login } }
-                }
-              }
-            }
-          }
-        }
-      }
+ * One commit's [path, a, d] file list. REST pages the list 300 files at a time
+ * (up to GitHub's 3000-file cap), so follow the Link header for the rest.
+ * Null if any page fails, so a partial list is never stored.
+ */
+async function fetchCommitFiles(owner, repo, oid, api, signal, headers) {
+  const list = [];
+  let url = `${api.rest}/repos/${owner}/${repo}/commits/${oid}`;
+  let commit;
+  while (url) {
+    const response = await githubFetch(api, url, { headers, signal });
+    if (!response.ok) return null;
+
+    commit = await response.json();
+    for (const f of commit.files || []) {
+      if (f.additions || f.deletions) list.push([f.filename, f.additions, f.deletions]);
     }
-  `;
+    url = getNextPageUrl(response.headers.get('link'));
+  }
 
-  try {
-    // Fetch commits since Jan 1 of current year (up to 2000 commits / 20 pages)
-    const since = new Date(new Date().getFullYear(), 0, 1).toISOString();
-    const allCommits = [];
-    let cursor = null;
-
-    for (let page = 0; page < 20; page++) {
-      const response = await fetch('https://api.github.com/graphql', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        signal,
-        body: JSON.stringify({
-          query,
-          variables: { owner, repo, cursor, since }
-        })
-      });
+  const listed = list.reduce((sum, [, a, d]) => sum + a + d, 0);
+  if (commit.stats && listed < commit.stats.total) {
+    console.warn(`Commit ${oid} lists ${listed} of ${commit.stats.total} changed lines; the rest count as included`);
+  }
+  return list;
+}
 
-      if (!response.ok) return; // Fall back to stats API data
+// --- OAuth device flow sign-in ---
 
-      const data = await response.json();
-      const history = data?.data?.repository?.defaultBranchRef?.target?.history;
-      if (!history?.nodes) return;
+// Kept in session storage: it survives the worker being stopped while the
+// user authorizes, but never outlives the browser session
+const DEVICE_FLOW_KEY = 'deviceFlow';
+const OAUTH_SCOPES = 'repo read:org';
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+const SLOW_DOWN_SECONDS = 5; // Added to the interval when GitHub doesn't send a new one
 
-      allCommits.push(...history.nodes);
+async function getDeviceFlow() {
+  const { [DEVICE_FLOW_KEY]: flow } = await chrome.storage.session.get([DEVICE_FLOW_KEY]);
+  return flow || null;
+}
 
-      if (!history.pageInfo.hasNextPage) break;
-      cursor = history.pageInfo.endCursor;
-    }
+async function setDeviceFlow(flow) {
+  await chrome.storage.session.set({ [DEVICE_FLOW_KEY]: flow });
+}
 
-    if (allCommits.length === 0) return;
+/**
+ * POST a form to a host's OAuth endpoints, which answer in JSON on request
+ */
+async function postOAuth(host, path, params) {
+  const response = await fetch(`https://${host}${path}`, {
+    method: 'POST',
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params)
+  });
+  if (!response.ok) throw new Error(`OAuth HTTP ${response.status}`);
+  return response.json();
+}
 
-    // Group commits by author and week
-    const authorWeekMap = new Map(); // login -> Map(weekStart -> {a, d})
-    for (const commit of allCommits) {
-      const login = commit.author?.user?.login;
-      if (!login) continue;
+/**
+ * Ask GitHub for a user code and start polling for the user to enter it.
+ * The popup shows the code and follows progress through session storage.
+ */
+async function startDeviceFlow(host, clientId) {
+  if (!clientId) {
+    return { status: 'error', message: 'An OAuth app client ID is required' };
+  }
 
-      const key = login.toLowerCase();
-      const weekStart = getWeekStartTimestamp(new Date(commit.committedDate));
+  const json = await postOAuth(host, '/login/device/code', { client_id: clientId, scope: OAUTH_SCOPES });
+  if (json.error) {
+    const message = json.error === 'device_flow_disabled'
+      ? 'Device flow is not enabled for this OAuth app'
+      : json.error_description || json.error;
+    return { status: 'error', message };
+  }
 
-      if (!authorWeekMap.has(key)) {
-        authorWeekMap.set(key, new Map());
-      }
-      const weekMap = authorWeekMap.get(key);
+  const flow = {
+    status: 'pending',
+    host,
+    clientId,
+    deviceCode: json.device_code,
+    userCode: json.user_code,
+    verificationUri: json.verification_uri,
+    expiresAt: Date.now() + json.expires_in * 1000,
+    interval: json.interval
+  };
+  await setDeviceFlow(flow);
+  pollDeviceFlow(flow.deviceCode);
+  return flow;
+}
 
-      if (!weekMap.has(weekStart)) {
-        weekMap.set(weekStart, { a: 0, d: 0 });
-      }
-      const week = weekMap.get(weekStart);
-      week.a += commit.additions || 0;
-      week.d += commit.deletions || 0;
-    }
+async function cancelDeviceFlow() {
+  await chrome.storage.session.remove([DEVICE_FLOW_KEY]);
+}
 
-    // Apply accurate a/d data to each contributor's weeks
-    for (const contributor of contributors) {
-      const weekMap = authorWeekMap.get(contributor.login.toLowerCase());
-      if (!weekMap) continue;
+/**
+ * Poll until the user authorizes, denies or lets the code expire. Stops
+ * quietly if the flow is cancelled or replaced by a newer one.
+ */
+async function pollDeviceFlow(deviceCode) {
+  while (true) {
+    let flow = await getDeviceFlow();
+    if (flow?.status !== 'pending' || flow.deviceCode !== deviceCode) return;
 
-      const weekStarts = Array.from(weekMap.keys());
-      const minWeek = Math.min(...weekStarts);
-      const maxWeek = Math.max(...weekStarts);
+    await new Promise(resolve => setTimeout(resolve, flow.interval * 1000));
+    flow = await getDeviceFlow();
+    if (flow?.status !== 'pending' || flow.deviceCode !== deviceCode) return;
 
-      // Zero out stats API's a/d within the GraphQL data range
-      for (const week of contributor.weeks) {
-        if (week.w >= minWeek && week.w <= maxWeek) {
-          week.a = 0;
-          week.d = 0;
-        }
-      }
+    if (Date.now() > flow.expiresAt) {
+      await setDeviceFlow({ ...flow, status: 'expired', message: 'The code expired. Start again to get a new one.' });
+      return;
+    }
 
-      // Apply GraphQL data
-      for (const [weekStart, stats] of weekMap) {
-        const existing = contributor.weeks.find(w => w.w === weekStart);
-        if (existing) {
-          existing.a = stats.a;
-          existing.d = stats.d;
-        } else {
-          contributor.weeks.push({ w: weekStart, a: stats.a, d: stats.d, c: 0 });
-        }
-      }
+    let json;
+    try {
+      json = await postOAuth(flow.host, '/login/oauth/access_token', {
+        client_id: flow.clientId,
+        device_code: deviceCode,
+        grant_type: DEVICE_GRANT_TYPE
+      });
+    } catch (e) {
+      // Network hiccup: try again at the next interval
+      console.warn('Device flow poll failed:', e);
+      continue;
     }
-  } catch (e) {
-    if (e.name === 'AbortError') throw e;
-    console.warn('GraphQL stats fetch failed, using stats API data:', e);
+
+    if (json.access_token) {
+      await saveToken(json.access_token, flow.host);
+      await verifyToken(flow.host).catch(() => {}); // Records login and scopes for settings
+      if (flow.host !== DEFAULT_HOST) await addEnterpriseHost(flow.host);
+      await setDeviceFlow({ status: 'success', host: flow.host });
+      return;
+    }
+
+    if (json.error === 'authorization_pending') continue;
+    if (json.error === 'slow_down') {
+      await setDeviceFlow({ ...flow, interval: json.interval || flow.interval + SLOW_DOWN_SECONDS });
+      continue;
+    }
+
+    const outcomes = {
+      expired_token: ['expired', 'The code expired. Start again to get a new one.'],
+      access_denied: ['denied', 'Sign-in was cancelled on GitHub.']
+    };
+    const [status, message] = outcomes[json.error] || ['error', json.error_description || json.error || 'Sign-in failed'];
+    await setDeviceFlow({ status, host: flow.host, message });
+    return;
+  }
+}
+
+// A stopped worker loses its timers; pick up a flow that was still pending
+getDeviceFlow().then(flow => {
+  if (flow?.status === 'pending') pollDeviceFlow(flow.deviceCode);
+});
+
+// --- GitHub Enterprise Server hosts ---
+
+async function addEnterpriseHost(host) {
+  const { enterpriseHosts = [] } = await chrome.storage.sync.get(['enterpriseHosts']);
+  if (!enterpriseHosts.includes(host)) {
+    await chrome.storage.sync.set({ enterpriseHosts: [...enterpriseHosts, host] });
+  }
+}
+
+const ENTERPRISE_SCRIPT_ID = 'enterprise-hosts';
+
+/**
+ * Run the content script on every added GHES host the user has granted
+ * access to. The manifest only covers github.com; GHES hosts are optional
+ * permissions requested from the popup.
+ */
+async function registerEnterpriseScripts() {
+  const { enterpriseHosts = [] } = await chrome.storage.sync.get(['enterpriseHosts']);
+  const matches = [];
+  for (const host of enterpriseHosts) {
+    const origin = hostPermission(host);
+    if (await chrome.permissions.contains({ origins: [origin] })) matches.push(origin);
+  }
+
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [ENTERPRISE_SCRIPT_ID] });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [ENTERPRISE_SCRIPT_ID] });
   }
+  if (matches.length === 0) return;
+
+  await chrome.scripting.registerContentScripts([{
+    id: ENTERPRISE_SCRIPT_ID,
+    matches,
+    js: ['routes.js', 'scoring.js', 'content.js'],
+    css: ['content.css'],
+    runAt: 'document_idle'
+  }]);
 }
 
+chrome.runtime.onInstalled.addListener(registerEnterpriseScripts);
+chrome.permissions.onAdded.addListener(registerEnterpriseScripts);
+chrome.permissions.onRemoved.addListener(registerEnterpriseScripts);
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.enterpriseHosts) registerEnterpriseScripts();
+});
+
 // Listen for messages
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'fetchStats') {
-    fetchContributorStats(request.owner, request.repo)
+    fetchContributorStats(request.owner, request.repo, { force: request.force, ref: request.ref, host: request.host })
+      .then(result => {
+        sendResponse(result);
+        if (result.status === 'success') updateRankBadge();
+      })
+      .catch(err => sendResponse({ status: 'error', message: err.message }));
+    return true;
+  }
+
+  if (request.action === 'fetchArenaStats') {
+    fetchArenaStats(request.arena, { force: request.force })
+      .then(result => {
+        sendResponse(result);
+        if (result.status === 'success') updateRankBadge();
+      })
+      .catch(err => sendResponse({ status: 'error', message: err.message }));
+    return true;
+  }
+
+  if (request.action === 'getCachedArenaStats') {
+    getCachedArenaStats(request.arena)
+      .then(sendResponse)
+      .catch(() => sendResponse({ status: 'miss' }));
+    return true;
+  }
+
+  if (request.action === 'getRateLimits') {
+    getRateLimitStatus(request.host)
+      .then(sendResponse)
+      .catch(() => sendResponse({ limits: {}, pause: null }));
+    return true;
+  }
+
+  if (request.action === 'getViewer') {
+    getViewer(request.host)
+      .then(viewer => sendResponse({ viewer }))
+      .catch(() => sendResponse({ viewer: null }));
+    return true;
+  }
+
+  if (request.action === 'getPathExclusions') {
+    getPathExclusions(request.owner, request.repo, request.host)
+      .then(globs => sendResponse({ globs, defaults: DEFAULT_PATH_EXCLUSIONS }))
+      .catch(() => sendResponse({ globs: DEFAULT_PATH_EXCLUSIONS, defaults: DEFAULT_PATH_EXCLUSIONS }));
+    return true;
+  }
+
+  if (request.action === 'findTreeRef') {
+    findTreeRef(request.owner, request.repo, request.treePath, request.host)
+      .then(sendResponse)
+      .catch(err => sendResponse({ status: 'error', message: err.message }));
+    return true;
+  }
+
+  if (request.action === 'listRefs') {
+    fetchRepoRefs(request.owner, request.repo, request.host)
+      .then(sendResponse)
+      .catch(err => sendResponse({ status: 'error', message: err.message }));
+    return true;
+  }
+
+  if (request.action === 'fetchOrgTeams') {
+    fetchOrgTeams(request.org, request.host)
+      .then(sendResponse)
+      .catch(err => sendResponse({ status: 'error', message: err.message }));
+    return true;
+  }
+
+  if (request.action === 'getCachedStats') {
+    getCachedStats(request.owner, request.repo, request.ref, request.host)
+      .then(cached => sendResponse(cached ? cachedResult(cached) : { status: 'miss' }))
+      .catch(() => sendResponse({ status: 'miss' }));
+    return true;
+  }
+
+  if (request.action === 'startDeviceFlow') {
+    startDeviceFlow(request.host, request.clientId)
       .then(sendResponse)
       .catch(err => sendResponse({ status: 'error', message: err.message }));
     return true;
   }
 
+  if (request.action === 'cancelDeviceFlow') {
+    cancelDeviceFlow()
+      .then(() => sendResponse({ success: true }))
+      .catch(() => sendResponse({ success: false }));
+    return true;
+  }
+
   if (request.action === 'saveToken') {
-    saveToken(request.token)
+    saveToken(request.token, request.host)
       .then(() => sendResponse({ success: true }))
       .catch(err => sendResponse({ success: false, error: err.message }));
     return true;
   }
 
   if (request.action === 'getToken') {
-    getToken()
-      .then(token => sendResponse({ token }))
+    Promise.all([getToken(request.host), isTokenStoreLocked()])
+      .then(([token, locked]) => sendResponse({ token, locked }))
       .catch(err => sendResponse({ token: null }));
     return true;
   }
 
+  if (request.action === 'verifyToken') {
+    verifyToken(request.host, request.token)
+      .then(sendResponse)
+      .catch(err => sendResponse({ status: 'error', message: err.message }));
+    return true;
+  }
+
+  if (request.action === 'getTokenSettings') {
+    getTokenSettings()
+      .then(sendResponse)
+      .catch(err => sendResponse({ status: 'error', message: err.message }));
+    return true;
+  }
+
+  if (request.action === 'setTokenStorage') {
+    setTokenStorage(request.mode, request.passphrase)
+      .then(sendResponse)
+      .catch(err => sendResponse({ status: 'error', message: err.message }));
+    return true;
+  }
+
+  if (request.action === 'unlockTokens') {
+    unlockTokens(request.passphrase)
+      .then(sendResponse)
+      .catch(err => sendResponse({ status: 'error', message: err.message }));
+    return true;
+  }
+
+  if (request.action === 'forgetTokens') {
+    forgetTokens()
+      .then(() => sendResponse({ success: true }))
+      .catch(() => sendResponse({ success: false }));
+    return true;
+  }
+
   if (request.action === 'clearToken') {
-    clearToken()
+    clearToken(request.host)
       .then(() => sendResponse({ success: true }))
       .catch(err => sendResponse({ success: false }));
     return true;
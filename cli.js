@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+/**
+ * Command-line leaderboard for Git Gladiators
+ * Runs background.js unchanged in a small Node host that stands in for the
+ * chrome.* APIs it uses, so stats are fetched, cached and rate-limited exactly
+ * as in the extension, then scores them with the shared scoring.js.
+ *
+ *   git-gladiators owner/repo --period month --format table|json|csv
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const {
+  DEFAULT_SCORING_CONFIG,
+  DEFAULT_IDENTITY_RULES,
+  PERIOD_NAMES,
+  mergeScoringConfig,
+  getPeriodRange,
+  processContributors,
+  applyIdentityRules,
+  toExportRows,
+  toCsv
+} = require('./scoring.js');
+const { DEFAULT_HOST, normalizeHost } = require('./routes.js');
+
+const FORMATS = ['table', 'json', 'csv'];
+const COMPUTING_RETRIES = 5; // Beyond the worker's own retries while GitHub computes stats
+const COMPUTING_RETRY_MS = 5000;
+const DEFAULT_CACHE_FILE = path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'git-gladiators', 'storage.json');
+
+const USAGE = `Usage: git-gladiators <owner/repo> [options]
+
+Options:
+  --period <period>  ${Object.keys(PERIOD_NAMES).join(', ')} (default: month)
+  --format <format>  ${FORMATS.join(', ')} (default: table)
+  --top <n>          Only show the top n contributors
+  --ref <ref>        Score a branch, tag or commit instead of the default branch
+  --host <host>      GitHub Enterprise Server host (default: ${DEFAULT_HOST})
+  --config <file>    JSON with scoringConfig, identityRules and pathExclusions,
+                     as the extension keeps them in sync storage
+  --cache <file>     Where fetched stats are kept between runs
+                     (default: ${DEFAULT_CACHE_FILE})
+  --no-cache         Fetch everything again and keep nothing
+  --verbose          Log what the fetch is doing to stderr
+  -h, --help         Show this help
+
+The token is read from GITHUB_TOKEN (or GH_TOKEN).`;
+
+class UsageError extends Error {}
+
+// --- Arguments ---
+
+function parseArgs(argv) {
+  const options = { period: 'month', format: 'table', host: DEFAULT_HOST, cache: DEFAULT_CACHE_FILE };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      case '--period': options.period = value(); break;
+      case '--format': options.format = value(); break;
+      case '--top': options.top = parseInt(value(), 10); break;
+      case '--ref': options.ref = value(); break;
+      case '--host': options.host = normalizeHost(value()); break;
+      case '--config': options.config = value(); break;
+      case '--cache': options.cache = value(); break;
+      case '--no-cache': options.cache = null; break;
+      case '--verbose': options.verbose = true; break;
+      default:
+        if (arg.startsWith('-')) throw new UsageError(`Unknown option ${arg}`);
+        positional.push(arg);
+    }
+  }
+  if (options.help) return options;
+
+  const [owner, repo, extra] = (positional[0] || '').split('/');
+  if (positional.length !== 1 || !owner || !repo || extra !== undefined) {
+    throw new UsageError('Name one repository as owner/repo');
+  }
+  if (!PERIOD_NAMES[options.period]) throw new UsageError(`Unknown period ${options.period}`);
+  if (!FORMATS.includes(options.format)) throw new UsageError(`Unknown format ${options.format}`);
+  if (!options.host) throw new UsageError('Invalid --host');
+  if (options.top !== undefined && !(options.top > 0)) throw new UsageError('--top needs a positive number');
+
+  return { ...options, owner, repo: repo.replace(/\.git$/, '') };
+}
+
+// --- Worker host ---
+
+/**
+ * A chrome.storage area backed by a plain object
+ */
+function createStorageArea(data = {}) {
+  const pick = (keys) => {
+    if (keys == null) return { ...data };
+    if (typeof keys === 'string') keys = [keys];
+    if (Array.isArray(keys)) return Object.fromEntries(keys.filter(k => k in data).map(k => [k, data[k]]));
+    return Object.fromEntries(Object.entries(keys).map(([k, fallback]) => [k, k in data ? data[k] : fallback]));
+  };
+
+  return {
+    data,
+    async get(keys) {
+      return structuredClone(pick(keys));
+    },
+    async set(items) {
+      Object.assign(data, structuredClone(items));
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) delete data[key];
+    },
+    async clear() {
+      for (const key of Object.keys(data)) delete data[key];
+    }
+  };
+}
+
+/**
+ * Load background.js with just enough of the extension APIs to fetch stats.
+ * The token lives in session storage (the worker's "session" mode), so it's
+ * never written to the cache file.
+ */
+function startWorker({ token, host, local, sync, verbose }) {
+  const event = { addListener() {}, removeListener() {} };
+  const noop = async () => {};
+  const session = createStorageArea({ githubTokens: { [host]: token } });
+  local.data.tokenStorage = 'session';
+
+  const log = verbose ? (...args) => console.error(...args) : () => {};
+  const context = vm.createContext({
+    console: { log, info: log, warn: log, error: (...args) => console.error(...args) },
+    fetch, Headers, Request, Response, URL, URLSearchParams, AbortController, DOMException,
+    TextEncoder, TextDecoder, crypto, atob, btoa, structuredClone,
+    setTimeout, clearTimeout, setInterval, clearInterval,
+    chrome: {
+      storage: { local, sync, session, onChanged: event },
+      runtime: { onMessage: event, onInstalled: event, onStartup: event },
+      permissions: { onAdded: event, onRemoved: event },
+      alarms: { onAlarm: event, create: noop, clear: noop, get: noop },
+      notifications: { onClicked: event, onClosed: event, create: noop, clear: noop },
+      action: { setBadgeText: noop, setBadgeBackgroundColor: noop, setTitle: noop, openPopup: noop },
+      scripting: { getRegisteredContentScripts: async () => [], registerContentScripts: noop, unregisterContentScripts: noop }
+    }
+  });
+  context.importScripts = (...files) => {
+    for (const file of files) {
+      vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context, { filename: file });
+    }
+  };
+
+  context.importScripts('background.js');
+  return context;
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Fetch through the worker, waiting out GitHub's stats computation
+ */
+async function fetchStats(worker, { owner, repo, ref, host }) {
+  for (let attempt = 0; ; attempt++) {
+    const result = await worker.fetchContributorStats(owner, repo, { ref, host });
+    if (result.status !== 'computing' || attempt >= COMPUTING_RETRIES) return result;
+    console.error('GitHub is computing stats, retrying...');
+    await sleep(COMPUTING_RETRY_MS);
+  }
+}
+
+// --- Output ---
+
+function formatTable(context, standings) {
+  const columns = [
+    { label: 'RANK', value: c => `#${c.rank}`, align: 'right' },
+    { label: 'GLADIATOR', value: c => (c.unlinked && c.name ? c.name : c.login) },
+    { label: 'POWER', value: c => String(c.score), align: 'right' },
+    { label: 'COMMITS', value: c => String(c.commits), align: 'right' },
+    { label: '+LINES', value: c => String(c.additions), align: 'right' },
+    { label: '-LINES', value: c => String(c.deletions), align: 'right' },
+    { label: 'PRS', value: c => String(c.pullRequests), align: 'right' },
+    { label: 'REVIEWS', value: c => String(c.reviews), align: 'right' },
+    { label: 'STREAK', value: c => `${c.streakWeeks} wk`, align: 'right' },
+    { label: 'TITLE', value: c => c.title } // Last: emoji widths vary by terminal
+  ];
+
+  const rows = standings.map(c => columns.map(column => column.value(c)));
+  const widths = columns.map((column, i) => Math.max(column.label.length, ...rows.map(row => row[i].length)));
+  const line = cells => cells
+    .map((cell, i) => (columns[i].align === 'right' ? cell.padStart(widths[i]) : cell.padEnd(widths[i])))
+    .join('  ')
+    .trimEnd();
+
+  return [
+    `⚔️  ${context.arena} · ${context.period}`,
+    '',
+    line(columns.map(c => c.label)),
+    ...rows.map(line)
+  ].join('\n');
+}
+
+function formatOutput(format, context, standings) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify({ ...context, contributors: toExportRows(standings) }, null, 2);
+    case 'csv':
+      return toCsv(context, toExportRows(standings));
+    default:
+      return standings.length ? formatTable(context, standings) : `No activity in ${context.arena} ${context.period}.`;
+  }
+}
+
+// --- Main ---
+
+async function main(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const token = process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+  if (!token) {
+    console.error('Set GITHUB_TOKEN (or GH_TOKEN) to a token that can read the repository.');
+    return 1;
+  }
+
+  const settings = options.config ? readJson(options.config, null) : {};
+  if (!settings) throw new Error(`Config file ${options.config} not found`);
+
+  const local = createStorageArea(options.cache ? readJson(options.cache, {}) : {});
+  const sync = createStorageArea({ ...settings });
+  const worker = startWorker({ token, host: options.host, local, sync, verbose: options.verbose });
+
+  const result = await fetchStats(worker, options);
+  if (options.cache) writeJson(options.cache, local.data);
+
+  if (result.status !== 'success' && result.status !== 'empty') {
+    console.error(result.message || `Could not fetch stats (${result.status})`);
+    return 1;
+  }
+
+  const config = mergeScoringConfig(DEFAULT_SCORING_CONFIG, settings.scoringConfig);
+  const contributors = applyIdentityRules(result.data || [], settings.identityRules || DEFAULT_IDENTITY_RULES);
+  const standings = processContributors(contributors, options.period, config).slice(0, options.top);
+
+  const { start, end } = getPeriodRange(options.period);
+  const repoName = `${options.owner}/${options.repo}` + (options.ref ? `@${options.ref}` : '');
+  const context = {
+    arena: options.host === DEFAULT_HOST ? repoName : `${options.host}: ${repoName}`,
+    period: PERIOD_NAMES[options.period],
+    start: options.period === 'all' ? null : new Date(start).toISOString(),
+    end: new Date(Math.min(end, Date.now())).toISOString(),
+    generatedAt: new Date().toISOString()
+  };
+
+  console.log(formatOutput(options.format, context, standings));
+  return 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error(error instanceof UsageError ? `${error.message}\n\n${USAGE}` : error.message);
+    process.exitCode = error instanceof UsageError ? 2 : 1;
+  });
@@ -1,28 +1,34 @@
 /**
  * Content script for Git Gladiators
- * Detects GitHub repository pages
+ * Tells the popup which repo, org or user page is open and, when enabled in
+ * the popup, adds leaderboard widgets to it. routes.js and scoring.js are
+ * loaded first.
  */
 
+const SIDEBAR_SIZE = 5;
+
 /**
- * Parse current page URL to extract repo information
+ * Route of the current page. The URL can't tell an org from a user at
+ * github.com/<owner>, but the page can.
  */
-function parseCurrentRepo() {
-  const match = window.location.href.match(/github\.com\/([^\/]+)\/([^\/\?#]+)/);
-  if (match) {
-    return {
-      owner: match[1],
-      repo: match[2].replace(/\.git$/, '')
-    };
+function readPageRoute() {
+  // Only injected on github.com and added GHES hosts, so trust the page's own host
+  const route = parseGitHubRoute(window.location.href, [window.location.host]);
+  if (route?.type === 'owner') {
+    const subject = document.querySelector('meta[name="hovercard-subject-tag"]')?.content || '';
+    if (subject.startsWith('organization:')) route.type = 'org';
+    else if (subject.startsWith('user:')) route.type = 'user';
   }
-  return null;
+  return route;
 }
 
-const repoInfo = parseCurrentRepo();
+let pageRoute = readPageRoute();
+let repoInfo = routeRepo(pageRoute);
 
 // Listen for messages from popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'getRepoInfo') {
-    sendResponse(repoInfo);
+  if (request.action === 'getPageRoute') {
+    sendResponse(readPageRoute());
   }
   return true;
 });
@@ -30,3 +36,233 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 if (repoInfo) {
   console.log('🏆 Git Gladiators loaded for:', repoInfo);
 }
+
+// --- Widgets ---
+
+let widgetSettings = { ...DEFAULT_WIDGET_SETTINGS };
+let standings = null; // login (lowercase) -> processed contributor, for the current repo
+let standingsRepo = null;
+let hovercardLogin = null;
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function anyWidgetEnabled() {
+  return widgetSettings.sidebar || widgetSettings.authorChips || widgetSettings.hovercards;
+}
+
+/**
+ * Score the background worker's cached stats for the current repo with the
+ * user's saved scoring config and identity rules. Never triggers a fetch;
+ * a repo nobody has opened in the popup yet simply gets no widgets.
+ */
+function standingsKey() {
+  return repoInfo ? `${repoInfo.host || DEFAULT_HOST}/${repoInfo.owner}/${repoInfo.repo}`.toLowerCase() : null;
+}
+
+async function loadStandings() {
+  const key = standingsKey();
+  if (standingsRepo !== key) {
+    // Never show one repo's ranks on another's pages
+    standings = null;
+    standingsRepo = null;
+  }
+  if (!key) return null;
+  if (standings) return standings;
+
+  const { owner, repo, host } = repoInfo;
+  const cached = await chrome.runtime.sendMessage({ action: 'getCachedStats', owner, repo, host });
+  if (cached?.status !== 'success') {
+    standings = null;
+    return null;
+  }
+
+  const { scoringConfig, identityRules } = await chrome.storage.sync.get(['scoringConfig', 'identityRules']);
+  if (standingsKey() !== key) return null; // Navigated to another repo meanwhile
+  Object.assign(SCORING_CONFIG, mergeScoringConfig(DEFAULT_SCORING_CONFIG, scoringConfig));
+  const contributors = applyIdentityRules(cached.data, identityRules || DEFAULT_IDENTITY_RULES);
+  const processed = processContributors(contributors, widgetSettings.period);
+
+  standings = new Map();
+  for (const contributor of processed) {
+    standings.set(contributor.login.toLowerCase(), contributor);
+    for (const alias of contributor.aliases) {
+      standings.set(alias.toLowerCase(), contributor);
+    }
+  }
+  standingsRepo = key;
+  return standings;
+}
+
+/**
+ * The worker's cache entry for the current repo (see repoStorageName in background.js),
+ * watched so widgets rescore when a fetch updates it
+ */
+function statsCacheKey() {
+  if (!repoInfo) return null;
+  const { owner, repo, host = DEFAULT_HOST } = repoInfo;
+  const name = host === DEFAULT_HOST ? `${owner}/${repo}` : `${host}/${owner}/${repo}`;
+  return `statsCache:${name.toLowerCase()}`;
+}
+
+function describeStanding(contributor) {
+  return `Git Gladiators (${repoInfo.owner}/${repoInfo.repo}): #${contributor.rank} · ${contributor.title} · ${contributor.score} POWER`;
+}
+
+/**
+ * Top contributors panel at the top of the repo home page sidebar
+ */
+function renderSidebar() {
+  document.querySelector('.gg-arena')?.remove();
+  if (!widgetSettings.sidebar || !standings || pageRoute?.type !== 'repo' || pageRoute.section) return;
+
+  const sidebar = document.querySelector('.Layout-sidebar .BorderGrid') || document.querySelector('.Layout-sidebar');
+  if (!sidebar) return;
+
+  const top = [...new Set(standings.values())]
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, SIDEBAR_SIZE);
+  if (top.length === 0) return;
+
+  const panel = el('div', 'gg-arena');
+  panel.appendChild(el('h2', 'gg-arena-title', '⚔️ Arena'));
+  const list = el('ol', 'gg-arena-list');
+  for (const contributor of top) {
+    const row = el('li', 'gg-arena-row');
+    row.title = describeStanding(contributor);
+    row.appendChild(el('span', 'gg-rank', `#${contributor.rank}`));
+    if (contributor.avatar) {
+      const avatar = el('img', 'gg-avatar');
+      avatar.src = contributor.avatar;
+      avatar.alt = '';
+      row.appendChild(avatar);
+    }
+    row.appendChild(el('span', 'gg-login', contributor.name && contributor.unlinked ? contributor.name : contributor.login));
+    row.appendChild(el('span', 'gg-score', String(contributor.score)));
+    list.appendChild(row);
+  }
+  panel.appendChild(list);
+  sidebar.prepend(panel);
+}
+
+/**
+ * Rank chips after author links on pull request and commit pages
+ */
+function renderAuthorChips() {
+  if (!widgetSettings.authorChips || !standings) return;
+  if (pageRoute?.type !== 'pull' && !['commit', 'commits'].includes(pageRoute?.section)) return;
+
+  const links = document.querySelectorAll('a.author, a.commit-author, a[data-testid="author-link"]');
+  for (const link of links) {
+    if (link.dataset.ggChip) continue;
+    const contributor = standings.get(link.textContent.trim().toLowerCase());
+    if (!contributor) continue;
+
+    link.dataset.ggChip = 'true';
+    const chip = el('span', 'gg-chip', `#${contributor.rank} ${contributor.title.split(' ')[0]}`);
+    chip.title = describeStanding(contributor);
+    link.after(chip);
+  }
+}
+
+/**
+ * Add a rank badge to an open user hovercard. The hovercard itself doesn't
+ * name the user reliably, so the login comes from the link that opened it.
+ */
+function renderHovercardBadge(popover) {
+  if (!widgetSettings.hovercards || !standings || !hovercardLogin) return;
+  if (popover.querySelector('.gg-hovercard')) return;
+
+  const contributor = standings.get(hovercardLogin.toLowerCase());
+  if (!contributor) return;
+
+  const badge = el('div', 'gg-hovercard', `⚔️ #${contributor.rank} in ${repoInfo.repo} · ${contributor.title}`);
+  badge.title = describeStanding(contributor);
+  (popover.querySelector('.Popover-message') || popover).appendChild(badge);
+}
+
+function removeWidgets() {
+  document.querySelectorAll('.gg-arena, .gg-chip, .gg-hovercard').forEach(node => node.remove());
+  document.querySelectorAll('[data-gg-chip]').forEach(node => delete node.dataset.ggChip);
+}
+
+async function renderWidgets() {
+  if (!anyWidgetEnabled() || !repoInfo) {
+    removeWidgets();
+    return;
+  }
+
+  await loadStandings();
+  renderSidebar();
+  renderAuthorChips();
+}
+
+async function initWidgets() {
+  const { widgetSettings: saved } = await chrome.storage.sync.get(['widgetSettings']);
+  widgetSettings = { ...DEFAULT_WIDGET_SETTINGS, ...saved };
+  renderWidgets();
+}
+
+// Remember which user link opened the next hovercard
+document.addEventListener('mouseover', (e) => {
+  const link = e.target.closest?.('[data-hovercard-type="user"]');
+  const match = link?.getAttribute('data-hovercard-url')?.match(/^\/users\/([^\/]+)\/hovercard/);
+  if (match) hovercardLogin = decodeURIComponent(match[1]);
+});
+
+// Hovercards and lazily loaded timeline items arrive after page load
+let widgetRenderTimer = null;
+new MutationObserver((mutations) => {
+  if (!anyWidgetEnabled() || !standings) return;
+
+  for (const mutation of mutations) {
+    for (const node of mutation.addedNodes) {
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+      const popover = node.matches('.Popover') ? node : node.querySelector?.('.Popover');
+      if (popover) renderHovercardBadge(popover);
+    }
+  }
+
+  clearTimeout(widgetRenderTimer);
+  widgetRenderTimer = setTimeout(renderAuthorChips, 300);
+}).observe(document.body, { childList: true, subtree: true });
+
+/**
+ * GitHub navigates between pages without reloading, so the route has to be
+ * re-read after every client-side navigation
+ */
+function handleNavigation() {
+  const route = readPageRoute();
+  if (JSON.stringify(route) === JSON.stringify(pageRoute)) return;
+
+  pageRoute = route;
+  repoInfo = routeRepo(route);
+  removeWidgets();
+  renderWidgets();
+}
+
+for (const event of ['turbo:load', 'pjax:end', 'soft-nav:end']) {
+  document.addEventListener(event, handleNavigation);
+}
+window.addEventListener('popstate', handleNavigation);
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.widgetSettings) {
+    widgetSettings = { ...DEFAULT_WIDGET_SETTINGS, ...changes.widgetSettings.newValue };
+    standings = null;
+    removeWidgets();
+    renderWidgets();
+  } else if ((area === 'sync' && (changes.scoringConfig || changes.identityRules))
+    || (area === 'local' && changes[statsCacheKey()])) {
+    // Rescore, replacing chips that show the old ranks
+    standings = null;
+    removeWidgets();
+    renderWidgets();
+  }
+});
+
+initWidgets();
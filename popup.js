@@ -1,73 +1,264 @@
 /**
  * Popup script for Git Gladiators
- * Handles token setup, time filtering, and leaderboard display
- */
-
-// Scoring config
-const SCORING_CONFIG = {
-  commitWeight: 0.4,
-  additionsWeight: 0.35,
-  deletionsWeight: 0.25,
-  streakMax: 15,
-  streakPerWeek: 3,
-  consistencyMin: 0.85,
-  consistencyMax: 1.15,
-  churnPenaltyMax: 10,
+ * Handles token setup, time filtering, and leaderboard display.
+ * Scoring comes from scoring.js, loaded before this script.
+ */
+
+// Named starting points for the scoring editor, as overrides of the defaults
+const SCORING_PRESETS = {
+  balanced: { label: 'Balanced', overrides: {} },
+  shippers: {
+    label: 'Shippers',
+    overrides: {
+      commitWeight: 0.5,
+      additionsWeight: 0.4,
+      deletionsWeight: 0.1,
+      pullRequestWeight: 0.15,
+      mergedWeight: 0.25,
+      reviewWeight: 0.05,
+      reviewCommentWeight: 0,
+    }
+  },
+  reviewers: {
+    label: 'Reviewers',
+    overrides: {
+      commitWeight: 0.25,
+      additionsWeight: 0.15,
+      deletionsWeight: 0.1,
+      pullRequestWeight: 0.05,
+      mergedWeight: 0.05,
+      reviewWeight: 0.45,
+      reviewCommentWeight: 0.2,
+    }
+  },
+  cleanup: {
+    label: 'Cleanup crew',
+    overrides: {
+      commitWeight: 0.3,
+      additionsWeight: 0.1,
+      deletionsWeight: 0.5,
+      churnPenaltyMax: 5,
+      titles: { cleanerDeleteRatio: 0.5, cleanerMinLines: 50 },
+    }
+  },
 };
 
 // DOM Elements
 const tokenSetup = document.getElementById('tokenSetup');
 const mainScreen = document.getElementById('mainScreen');
+const hostInput = document.getElementById('hostInput');
+const tokenLink = document.getElementById('tokenLink');
+const deviceSignInBtn = document.getElementById('deviceSignInBtn');
+const oauthSettings = document.getElementById('oauthSettings');
+const clientIdInput = document.getElementById('clientIdInput');
+const deviceFlowPanel = document.getElementById('deviceFlowPanel');
+const deviceCodeEl = document.getElementById('deviceCode');
+const openVerificationBtn = document.getElementById('openVerificationBtn');
+const deviceStatusEl = document.getElementById('deviceStatus');
+const cancelDeviceBtn = document.getElementById('cancelDeviceBtn');
 const tokenInput = document.getElementById('tokenInput');
 const saveTokenBtn = document.getElementById('saveTokenBtn');
 const tokenError = document.getElementById('tokenError');
 const repoNameEl = document.getElementById('repoName');
+const repoRefEl = document.getElementById('repoRef');
 const navTabs = document.getElementById('navTabs');
 const leaderboardView = document.getElementById('leaderboardView');
 const algorithmView = document.getElementById('algorithmView');
+const scoringView = document.getElementById('scoringView');
+const tuneScoringBtn = document.getElementById('tuneScoringBtn');
+const algoContributorSelect = document.getElementById('algoContributorSelect');
+const algoWalkthroughEl = document.getElementById('algoWalkthrough');
+const scoringPresetsEl = document.getElementById('scoringPresets');
+const scoringFieldsEl = document.getElementById('scoringFields');
+const titleFieldsEl = document.getElementById('titleFields');
+const scoringPreviewEl = document.getElementById('scoringPreview');
+const cancelScoringBtn = document.getElementById('cancelScoringBtn');
+const resetScoringBtn = document.getElementById('resetScoringBtn');
+const saveScoringBtn = document.getElementById('saveScoringBtn');
+const arenaView = document.getElementById('arenaView');
+const teamsView = document.getElementById('teamsView');
+const squadsView = document.getElementById('squadsView');
+const identitiesView = document.getElementById('identitiesView');
+const identitiesBtn = document.getElementById('identitiesBtn');
+const historyView = document.getElementById('historyView');
+const historySummaryEl = document.getElementById('historySummary');
+const historyChartEl = document.getElementById('historyChart');
+const historyPickerEl = document.getElementById('historyPicker');
+const achievementToast = document.getElementById('achievementToast');
+const detailView = document.getElementById('detailView');
+const detailBackBtn = document.getElementById('detailBackBtn');
+const detailDuelBtn = document.getElementById('detailDuelBtn');
+const duelView = document.getElementById('duelView');
+const duelTimeTabs = document.getElementById('duelTimeTabs');
+const duelLeftSelect = document.getElementById('duelLeftSelect');
+const duelRightSelect = document.getElementById('duelRightSelect');
+const duelContent = document.getElementById('duelContent');
+const copyDuelBtn = document.getElementById('copyDuelBtn');
+const copyDuelLinkBtn = document.getElementById('copyDuelLinkBtn');
+const detailContent = document.getElementById('detailContent');
+const pathsView = document.getElementById('pathsView');
+const pathsBtn = document.getElementById('pathsBtn');
+const pathsScopeEl = document.getElementById('pathsScope');
+const pathExclusionsInput = document.getElementById('pathExclusionsInput');
+const defaultPathsBtn = document.getElementById('defaultPathsBtn');
+const savePathsBtn = document.getElementById('savePathsBtn');
+const pathsError = document.getElementById('pathsError');
+const widgetsView = document.getElementById('widgetsView');
+const widgetsBtn = document.getElementById('widgetsBtn');
+const widgetSidebarInput = document.getElementById('widgetSidebarInput');
+const widgetChipsInput = document.getElementById('widgetChipsInput');
+const widgetHovercardsInput = document.getElementById('widgetHovercardsInput');
+const widgetPeriodInput = document.getElementById('widgetPeriodInput');
+const saveWidgetsBtn = document.getElementById('saveWidgetsBtn');
+const excludeBotsInput = document.getElementById('excludeBotsInput');
+const excludeLoginsInput = document.getElementById('excludeLoginsInput');
+const aliasesInput = document.getElementById('aliasesInput');
+const unlinkedListEl = document.getElementById('unlinkedList');
+const saveIdentitiesBtn = document.getElementById('saveIdentitiesBtn');
+const identitiesError = document.getElementById('identitiesError');
+const teamTimeTabs = document.getElementById('teamTimeTabs');
+const squadModeTabs = document.getElementById('squadModeTabs');
+const squadStandingsEl = document.getElementById('squadStandings');
+const editSquadsBtn = document.getElementById('editSquadsBtn');
+const squadsInput = document.getElementById('squadsInput');
+const importSquadsInput = document.getElementById('importSquadsInput');
+const seedOrgInput = document.getElementById('seedOrgInput');
+const seedSquadsBtn = document.getElementById('seedSquadsBtn');
+const saveSquadsBtn = document.getElementById('saveSquadsBtn');
+const squadsError = document.getElementById('squadsError');
+const arenaBtn = document.getElementById('arenaBtn');
+const arenaListEl = document.getElementById('arenaList');
+const arenaNameInput = document.getElementById('arenaNameInput');
+const arenaMembersInput = document.getElementById('arenaMembersInput');
+const saveArenaBtn = document.getElementById('saveArenaBtn');
+const arenaError = document.getElementById('arenaError');
+const refSection = document.getElementById('refSection');
+const refInput = document.getElementById('refInput');
+const refOptions = document.getElementById('refOptions');
+const applyRefBtn = document.getElementById('applyRefBtn');
+const defaultRefBtn = document.getElementById('defaultRefBtn');
+const refError = document.getElementById('refError');
 const timeTabs = document.getElementById('timeTabs');
+const rangePicker = document.getElementById('rangePicker');
+const rangeStartInput = document.getElementById('rangeStart');
+const rangeEndInput = document.getElementById('rangeEnd');
+const applyRangeBtn = document.getElementById('applyRangeBtn');
+const rollingPresets = document.getElementById('rollingPresets');
+const quarterSelect = document.getElementById('quarterSelect');
+const rangeError = document.getElementById('rangeError');
+const rangeLabelEl = document.getElementById('rangeLabel');
+const compareBtn = document.getElementById('compareBtn');
 const statusBar = document.getElementById('statusBar');
 const statusText = document.getElementById('statusText');
+const rateBudgetEl = document.getElementById('rateBudget');
 const leaderboardEl = document.getElementById('leaderboard');
 const refreshBtn = document.getElementById('refreshBtn');
+const cacheAgeEl = document.getElementById('cacheAge');
+const exportBtn = document.getElementById('exportBtn');
+const exportMenu = document.getElementById('exportMenu');
 const settingsBtn = document.getElementById('settingsBtn');
+const unlockScreen = document.getElementById('unlockScreen');
+const passphraseInput = document.getElementById('passphraseInput');
+const unlockBtn = document.getElementById('unlockBtn');
+const unlockError = document.getElementById('unlockError');
+const forgetTokensBtn = document.getElementById('forgetTokensBtn');
+const settingsView = document.getElementById('settingsView');
+const tokenHostsEl = document.getElementById('tokenHosts');
+const addAccountBtn = document.getElementById('addAccountBtn');
+const newPassphraseInput = document.getElementById('newPassphraseInput');
+const saveStorageBtn = document.getElementById('saveStorageBtn');
+const storageError = document.getElementById('storageError');
+const notifyArenasEl = document.getElementById('notifyArenas');
+const quietHoursInput = document.getElementById('quietHoursInput');
+const quietStartInput = document.getElementById('quietStartInput');
+const quietEndInput = document.getElementById('quietEndInput');
+const saveNotificationsBtn = document.getElementById('saveNotificationsBtn');
+const notificationsError = document.getElementById('notificationsError');
 
 // State
+let activeTab = null;
+let currentHost = DEFAULT_HOST;
+let enterpriseHosts = [];
 let currentRepo = null;
+let contextOwner = null;
+let currentArena = null;
+let savedArenas = [];
+let pinnedArenas = [];
+let squads = [];
+let squadScoring = 'sum';
+let scoringDraft = null;
+let identityRules = { ...DEFAULT_IDENTITY_RULES };
 let rawContributorData = null;
 let currentPeriod = 'week';
+let customRange = { rollingDays: 90, label: 'the last 90 days' };
+let compareMode = false;
 let currentView = 'leaderboard';
 let fetchRequestId = 0;
+let retryTimer = null;
+let computingRetries = 0;
+let dataFetchedAt = null;
+let historyComplete = true;
+let currentStandings = [];
+let detailLogin = null;
+let duelLogins = [null, null];
+let walkthroughLogin = null;
+let rankHistory = { key: null, periods: {} };
+let snapshotBaseline = null;
+let historyLogins = null;
+let achievementStore = { key: null, unlocked: {} };
+let viewerLogin = null;
+let pendingCelebrations = [];
+let celebrationTimer = null;
 
 /**
  * Initialize popup
  */
 async function init() {
-  const { token } = await sendMessage({ action: 'getToken' });
+  const { scoringConfig } = await chrome.storage.sync.get(['scoringConfig']);
+  Object.assign(SCORING_CONFIG, mergeScoringConfig(DEFAULT_SCORING_CONFIG, scoringConfig));
+  renderAlgorithmConfig();
+
+  [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  ({ enterpriseHosts = [] } = await chrome.storage.sync.get(['enterpriseHosts']));
+  currentHost = tabHost(activeTab) || DEFAULT_HOST;
+
+  const { token, locked } = await sendMessage({ action: 'getToken', host: currentHost });
   
-  if (token) {
+  if (locked) {
+    showUnlockScreen();
+  } else if (token) {
     showMainScreen();
   } else {
     showTokenSetup();
   }
   
-  // Set up time tab listeners
-  timeTabs.addEventListener('click', (e) => {
-    if (e.target.classList.contains('time-tab')) {
-      setTimePeriod(e.target.dataset.period);
-    }
-  });
+  // Set up time tab listeners (the Teams and Duel views have their own copies of the tabs)
+  for (const tabs of [timeTabs, teamTimeTabs, duelTimeTabs]) {
+    tabs.addEventListener('click', (e) => {
+      if (e.target.classList.contains('time-tab')) {
+        setTimePeriod(e.target.dataset.period);
+      }
+    });
+  }
   
   // Set up nav tab listeners
   navTabs.addEventListener('click', (e) => {
     if (e.target.classList.contains('nav-tab')) {
+      if (e.target.dataset.view === 'history') renderRankHistory();
+      if (e.target.dataset.view === 'duel') renderDuel();
       setView(e.target.dataset.view);
     }
   });
+
+  renderQuarterOptions();
+  renderRangeLabel();
+
+  // Keep the "updated X ago" label ticking while the popup is open
+  setInterval(renderCacheAge, 30 * 1000);
 }
 
 /**
- * Switch between leaderboard and algorithm views
+ * Switch between the main views (leaderboard, teams, algorithm, and the panels they open)
  */
 function setView(view) {
   currentView = view;
@@ -78,8 +269,24 @@ function setView(view) {
   });
   
   // Show/hide views
-  leaderboardView.style.display = view === 'leaderboard' ? 'flex' : 'none';
-  algorithmView.style.display = view === 'algorithm' ? 'flex' : 'none';
+  const panels = {
+    leaderboard: leaderboardView,
+    teams: teamsView,
+    history: historyView,
+    squads: squadsView,
+    identities: identitiesView,
+    paths: pathsView,
+    settings: settingsView,
+    widgets: widgetsView,
+    detail: detailView,
+    duel: duelView,
+    algorithm: algorithmView,
+    scoring: scoringView,
+    arena: arenaView
+  };
+  for (const [name, panel] of Object.entries(panels)) {
+    panel.style.display = name === view ? 'flex' : 'none';
+  }
 }
 
 /**
@@ -92,212 +299,169 @@ function setTimePeriod(period) {
   document.querySelectorAll('.time-tab').forEach(tab => {
     tab.classList.toggle('active', tab.dataset.period === period);
   });
+
+  rangePicker.style.display = period === 'custom' ? 'flex' : 'none';
+  renderRangeLabel();
   
   // Re-render with filtered data
-  if (rawContributorData) {
-    const processed = processContributors(rawContributorData, period);
-    renderLeaderboard(processed);
-  }
+  renderCurrentData();
 }
 
 /**
- * Get timestamp cutoff for time period
+ * The period passed to processContributors: a tab key, or the custom range
  */
-function getPeriodCutoff(period) {
-  const now = Date.now();
-  const weekMs = 7 * 24 * 60 * 60 * 1000;
-  
-  switch (period) {
-    case 'week':
-      return now - weekMs;
-    case 'month':
-      return now - (4 * weekMs); // ~4 weeks
-    case 'year': {
-      const jan1 = new Date(new Date().getFullYear(), 0, 1).getTime();
-      return jan1;
-    }
-    default:
-      return 0; // All time
-  }
+function activePeriod() {
+  return currentPeriod === 'custom' ? customRange : currentPeriod;
 }
 
 /**
- * Process raw contributor data for a time period
+ * Re-render every view that depends on the contributor data and period
  */
-function processContributors(contributors, period) {
-  const cutoffTimestamp = getPeriodCutoff(period) / 1000; // Convert to Unix timestamp
+function renderCurrentData() {
+  if (!rawContributorData) return;
+  const period = activePeriod();
+  const contributors = resolvedContributors();
+  const processed = processContributors(contributors, period);
+  celebrate(updateAchievements(contributors));
 
-  const processed = contributors.map(contributor => {
-    // Filter weeks by time period
-    const relevantWeeks = contributor.weeks.filter(week => week.w >= cutoffTimestamp);
-
-    // Sum up stats from relevant weeks
-    let commits = relevantWeeks.reduce((sum, week) => sum + week.c, 0);
-    const additions = relevantWeeks.reduce((sum, week) => sum + week.a, 0);
-    const deletions = relevantWeeks.reduce((sum, week) => sum + week.d, 0);
-
-    // Fallback to totalCommits for contributors missing week data (from /contributors endpoint)
-    if (commits === 0 && period === 'all' && contributor.totalCommits) {
-      commits = contributor.totalCommits;
+  snapshotBaseline = null;
+  if (compareMode) {
+    const previousRange = getPreviousRange(period);
+    if (previousRange) {
+      applyComparison(processed, processContributors(contributors, previousRange));
     }
-    
-    const score = calculateScore(commits, additions, deletions, relevantWeeks);
-    const titleInfo = assignTitle({ commits, additions, deletions });
-    const { streakWeeks } = calculateStreak(relevantWeeks);
+  } else {
+    // Without compare mode, movement is measured against the last saved snapshot
+    snapshotBaseline = previousSnapshot(period);
+    if (snapshotBaseline) applyComparison(processed, snapshotStandings(snapshotBaseline));
+  }
+  renderRangeLabel();
 
-    return {
-      login: contributor.login,
-      avatar: contributor.avatar,
-      profileUrl: contributor.profileUrl,
-      commits,
-      additions,
-      deletions,
-      streakWeeks,
-      score,
-      ...titleInfo
-    };
-  });
-  
-  // Filter out contributors with no activity in period
-  const active = processed.filter(c => c.commits > 0 || c.additions > 0 || c.deletions > 0);
-  
-  // Sort by score
-  active.sort((a, b) => b.score - a.score);
-  
-  // Assign ranks
-  active.forEach((contributor, index) => {
-    contributor.rank = index + 1;
-  });
-  
-  return active;
+  currentStandings = processed;
+  renderLeaderboard(processed);
+  renderSquadStandings(processed);
+  renderAlgorithmWalkthrough();
+  if (currentView === 'detail') renderContributorDetail();
+  if (currentView === 'duel') renderDuel();
+  if (currentView === 'history') renderRankHistory();
 }
 
 /**
- * Calculate streak: consecutive weeks with >= 1 commit, counting back from most recent active week
+ * The window to compare a period against: the same stretch of the previous
+ * calendar year/quarter for calendar periods, otherwise the same number of
+ * weekly buckets immediately before. Returns null for all time.
  */
-function calculateStreak(relevantWeeks) {
-  const { streakMax, streakPerWeek } = SCORING_CONFIG;
-  const activeWeeks = relevantWeeks.filter(w => w.c > 0);
-  if (activeWeeks.length === 0) return { streakWeeks: 0, streakBonus: 0 };
+function getPreviousRange(period, now = Date.now()) {
+  if (period === 'all') return null;
 
-  // Sort by timestamp descending to count back from most recent
-  const sorted = [...activeWeeks].sort((a, b) => b.w - a.w);
-  const weekSec = 7 * 24 * 60 * 60;
-
-  let streakWeeks = 1;
-  for (let i = 1; i < sorted.length; i++) {
-    const gap = sorted[i - 1].w - sorted[i].w;
-    // Allow gap of exactly 1 week (GitHub weekly buckets)
-    if (gap <= weekSec + 86400) { // +1 day tolerance
-      streakWeeks++;
-    } else {
-      break;
-    }
+  const today = new Date(now);
+  if (period === 'year') {
+    const lastYear = new Date(now);
+    lastYear.setFullYear(today.getFullYear() - 1);
+    return { start: new Date(today.getFullYear() - 1, 0, 1).getTime(), end: lastYear.getTime() };
+  }
+  if (period === 'quarter') {
+    const q = Math.floor(today.getMonth() / 3);
+    const currentStart = quarterStart(today.getFullYear(), q);
+    const previousStart = quarterStart(today.getFullYear(), q - 1);
+    return { start: previousStart, end: Math.min(previousStart + (now - currentStart), currentStart) };
+  }
+  if (typeof period === 'object' && period.quarter) {
+    const { year, q } = period.quarter;
+    return { quarter: { year: q === 0 ? year - 1 : year, q: (q + 3) % 4 } };
   }
 
-  const streakBonus = Math.min(streakMax, streakWeeks * streakPerWeek);
-  return { streakWeeks, streakBonus };
+  // As many whole weekly buckets as the current window scores, just before its first
+  const { start, end } = getPeriodRange(period, now);
+  const { first, count } = rangeBuckets(start, end);
+  return { start: first - count * WEEK_MS, end: first };
 }
 
 /**
- * Calculate consistency multiplier based on coefficient of variation of weekly commits
+ * Annotate contributors with their rank and score change against a previous window
  */
-function calculateConsistency(relevantWeeks) {
-  const { consistencyMin, consistencyMax } = SCORING_CONFIG;
-  const activeWeeks = relevantWeeks.filter(w => w.c > 0);
-
-  if (activeWeeks.length < 3) return 1.0;
-
-  const counts = activeWeeks.map(w => w.c);
-  const mean = counts.reduce((s, v) => s + v, 0) / counts.length;
-  const variance = counts.reduce((s, v) => s + (v - mean) ** 2, 0) / counts.length;
-  const stddev = Math.sqrt(variance);
-  const cv = mean > 0 ? stddev / mean : 0;
-
-  // 1.15 - (0.3 * min(1, CV))  →  range [0.85, 1.15]
-  return consistencyMax - ((consistencyMax - consistencyMin) * Math.min(1, cv));
+function applyComparison(current, previous) {
+  const previousByLogin = new Map(previous.map(c => [c.login.toLowerCase(), c]));
+  for (const contributor of current) {
+    const before = previousByLogin.get(contributor.login.toLowerCase());
+    contributor.previousRank = before ? before.rank : null;
+    contributor.rankChange = before ? before.rank - contributor.rank : null;
+    contributor.scoreChange = Math.round((contributor.score - (before ? before.score : 0)) * 10) / 10;
+  }
 }
 
 /**
- * Calculate code churn penalty
+ * The nearest title changes within reach: the first commit threshold that
+ * would change the title, and crossing the Novel Writer line count.
+ * Other stats are held where they are.
  */
-function calculateChurn(relevantWeeks) {
-  const { churnPenaltyMax } = SCORING_CONFIG;
-  const activeWeeks = relevantWeeks.filter(w => w.c > 0 || w.a > 0 || w.d > 0);
+function getNextTitles(stats, titles = SCORING_CONFIG.titles) {
+  const current = assignTitle(stats, titles).title;
+  const commitTargets = ['risingStarCommits', 'defenderCommits', 'warriorCommits', 'veteranCommits', 'architectCommits']
+    .map(key => titles[key])
+    .sort((a, b) => a - b);
 
-  if (activeWeeks.length < 2) return 0;
+  const steps = [
+    ...commitTargets.map(target => ({ field: 'commits', target })),
+    { field: 'additions', target: titles.novelWriterAdditions + 1 }
+  ];
 
-  // Sort chronologically
-  const sorted = [...activeWeeks].sort((a, b) => a.w - b.w);
-
-  let totalChurn = 0;
-  let totalAdditions = 0;
-  for (let i = 0; i < sorted.length; i++) {
-    totalAdditions += sorted[i].a;
-    if (i < sorted.length - 1) {
-      totalChurn += Math.min(sorted[i].a, sorted[i + 1].d);
-    }
+  const next = [];
+  const seenFields = new Set();
+  for (const { field, target } of steps) {
+    if (target <= stats[field] || seenFields.has(field)) continue;
+    const title = assignTitle({ ...stats, [field]: target }, titles);
+    if (title.title === current) continue;
+    seenFields.add(field);
+    next.push({ field, needed: target - stats[field], ...title });
   }
-
-  if (totalAdditions === 0) return 0;
-
-  const churnRatio = Math.min(1.0, totalChurn / totalAdditions);
-  return -churnPenaltyMax * churnRatio;
+  return next;
 }
 
 /**
- * Calculate final score with streak, consistency, and churn
+ * Show token setup screen
  */
-function calculateScore(commits, additions, deletions, relevantWeeks) {
-  const { commitWeight, additionsWeight, deletionsWeight } = SCORING_CONFIG;
-
-  const logCommits = Math.log10(commits + 1) * 100;
-  const logAdditions = Math.log10(additions + 1) * 10;
-  const logDeletions = Math.log10(deletions + 1) * 10;
-
-  const commitScore = logCommits * commitWeight;
-  const additionScore = logAdditions * additionsWeight;
-  const deletionScore = logDeletions * deletionsWeight;
+async function showTokenSetup(host = currentHost) {
+  tokenSetup.style.display = 'flex';
+  mainScreen.style.display = 'none';
+  unlockScreen.style.display = 'none';
+  hostInput.value = host === DEFAULT_HOST ? '' : host;
+  updateTokenLink();
+  tokenInput.value = '';
+  tokenError.textContent = '';
 
-  const baseScore = commitScore + additionScore + deletionScore;
-  const consistencyMultiplier = calculateConsistency(relevantWeeks);
-  const { streakBonus } = calculateStreak(relevantWeeks);
-  const churnPenalty = calculateChurn(relevantWeeks);
+  await loadClientId();
+  // A sign-in may still be waiting for the user from a previous popup
+  const { deviceFlow } = await chrome.storage.session.get(['deviceFlow']);
+  renderDeviceFlow(deviceFlow);
+}
 
-  const finalScore = (baseScore * consistencyMultiplier) + streakBonus + churnPenalty;
-  return Math.round(Math.max(0, finalScore) * 10) / 10;
+/**
+ * The host the token screen is set up for, or null when the input isn't a host
+ */
+function tokenSetupHost() {
+  return hostInput.value.trim() ? normalizeHost(hostInput.value) : DEFAULT_HOST;
 }
 
 /**
- * Assign titles based on contribution patterns
+ * Point the "Classic Token" link at the token page of the host being set up
  */
-function assignTitle(stats) {
-  const { commits, additions, deletions } = stats;
-  const total = additions + deletions;
-  const ratio = commits > 0 ? total / commits : 0;
-  const deleteRatio = total > 0 ? deletions / total : 0;
-  
-  if (commits >= 500) return { title: "🏛️ Code Architect", color: "#FFD700" };
-  if (deleteRatio > 0.6 && total > 100) return { title: "🧹 The Cleaner", color: "#9B59B6" };
-  if (ratio > 500) return { title: "🌊 Tsunami Coder", color: "#3498DB" };
-  if (ratio < 20 && commits > 50) return { title: "⚡ Rapid Fire", color: "#E74C3C" };
-  if (additions > 50000) return { title: "📚 Novel Writer", color: "#2ECC71" };
-  if (commits >= 100) return { title: "🎖️ Veteran", color: "#F39C12" };
-  if (commits >= 50) return { title: "⚔️ Warrior", color: "#E67E22" };
-  if (commits >= 20) return { title: "🛡️ Defender", color: "#1ABC9C" };
-  if (commits >= 10) return { title: "🌱 Rising Star", color: "#27AE60" };
-  if (commits >= 1) return { title: "🆕 Fresh Blood", color: "#95A5A6" };
-  return { title: "💤 Inactive", color: "#666677" };
+function updateTokenLink() {
+  const host = normalizeHost(hostInput.value) || DEFAULT_HOST;
+  tokenLink.href = `https://${host}/settings/tokens/new?description=Git%20Gladiators&scopes=repo`;
 }
 
 /**
- * Show token setup screen
+ * The GitHub host a tab is on: github.com or an added GHES host, else null
  */
-function showTokenSetup() {
-  tokenSetup.style.display = 'flex';
-  mainScreen.style.display = 'none';
-  tokenInput.value = '';
-  tokenError.textContent = '';
+function tabHost(tab) {
+  let host;
+  try {
+    host = new URL(tab?.url).host.toLowerCase();
+  } catch {
+    return null;
+  }
+  return host === DEFAULT_HOST || enterpriseHosts.includes(host) ? host : null;
 }
 
 /**
@@ -305,39 +469,124 @@ function showTokenSetup() {
  */
 async function showMainScreen() {
   tokenSetup.style.display = 'none';
+  unlockScreen.style.display = 'none';
   mainScreen.style.display = 'flex';
   
-  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-  const tab = tabs[0];
-  
-  if (!tab?.url?.includes('github.com')) {
+  const tab = activeTab;
+
+  ({
+    arenas: savedArenas = [],
+    pinnedArenas = [],
+    squads = [],
+    squadScoring = 'sum',
+    identityRules = DEFAULT_IDENTITY_RULES
+  } = await chrome.storage.sync.get(['arenas', 'pinnedArenas', 'squads', 'squadScoring', 'identityRules']));
+  setSquadScoring(squadScoring);
+
+  // Rosters live in local storage (org-sized ones overflow sync's per-item quota);
+  // older versions kept them in sync
+  const { squads: localSquads } = await chrome.storage.local.get(['squads']);
+  if (localSquads) squads = localSquads;
+
+  // Clicking a notification or a duel link hands over the arena to open
+  const duelLink = readDuelLink();
+  const { openArena } = await chrome.storage.session.get(['openArena']);
+  if (openArena) await chrome.storage.session.remove('openArena');
+  const handoff = duelLink?.arena || openArena;
+  if (handoff) currentHost = handoff.host || DEFAULT_HOST;
+
+  // Needed to celebrate the signed-in user's own achievements
+  const { viewer } = await sendMessage({ action: 'getViewer', host: currentHost }) || {};
+  viewerLogin = viewer?.login || null;
+
+  if (handoff) {
+    selectArena(handoff);
+    if (duelLink) openDuelLink(duelLink);
+    return;
+  }
+
+  if (!tabHost(tab)) {
     showError('Not on GitHub', 'Navigate to a GitHub repository page');
+    offerEnterpriseHost(tab);
     return;
   }
-  
-  currentRepo = parseGitHubUrl(tab.url);
-  
-  if (!currentRepo) {
+
+  const route = await getPageRoute(tab);
+  if (!route) {
     showError('Not a repository', 'Navigate to a GitHub repository page');
     return;
   }
-  
-  repoNameEl.textContent = `${currentRepo.owner}/${currentRepo.repo}`;
-  await fetchAndDisplayStats();
+
+  currentRepo = routeRepo(route);
+  contextOwner = route.owner;
+
+  if (currentRepo) {
+    if (route.treePath) {
+      currentRepo.ref = await resolveTreeRef({ ...currentRepo, treePath: route.treePath });
+    }
+    selectArena(repoArena(currentRepo));
+  } else {
+    // Org or user page: offer the whole org as the arena
+    selectArena(ownerArena(contextOwner, route.host));
+  }
 }
 
 /**
- * Parse GitHub URL
+ * On a web page that isn't a known GitHub host, offer to set it up as a
+ * GitHub Enterprise Server instance
  */
-function parseGitHubUrl(url) {
-  const match = url.match(/github\.com\/([^\/]+)\/([^\/\?#]+)/);
-  if (match) {
-    return {
-      owner: match[1],
-      repo: match[2].replace(/\.git$/, '')
-    };
+function offerEnterpriseHost(tab) {
+  let url;
+  try {
+    url = new URL(tab?.url);
+  } catch {
+    return;
   }
-  return null;
+  if (url.protocol !== 'https:' || url.host.endsWith(DEFAULT_HOST)) return;
+
+  const button = document.createElement('button');
+  button.className = 'token-btn';
+  button.textContent = `🏢 USE ${url.host} AS GITHUB ENTERPRISE`;
+  button.addEventListener('click', () => showTokenSetup(url.host.toLowerCase()));
+  leaderboardEl.querySelector('.error-state')?.appendChild(button);
+}
+
+/**
+ * Ask the tab's content script for its route; it has followed any client-side
+ * navigation since load. Tabs opened before the extension was installed have
+ * no content script, so fall back to parsing the URL.
+ */
+async function getPageRoute(tab) {
+  try {
+    const route = await chrome.tabs.sendMessage(tab.id, { action: 'getPageRoute' });
+    if (route !== undefined) return route;
+  } catch {
+    // No content script in this tab
+  }
+  return parseGitHubRoute(tab.url, enterpriseHosts);
+}
+
+/**
+ * Work out which ref a /tree/<path> URL points at. Branch names may contain
+ * slashes, so pick the longest listed branch or tag the path starts with,
+ * asking the worker to probe the path's prefixes when none is listed.
+ * Returns null for the default branch.
+ */
+async function resolveTreeRef({ owner, repo, host, treePath }) {
+  const refs = await sendMessage({ action: 'listRefs', owner, repo, host });
+  let ref = null;
+
+  if (refs?.status === 'success') {
+    ref = [...refs.branches, ...refs.tags]
+      .filter(name => treePath === name || treePath.startsWith(`${name}/`))
+      .sort((a, b) => b.length - a.length)[0] || null;
+  }
+  if (!ref) {
+    // Not among the most recent refs: look each path prefix up directly
+    const found = await sendMessage({ action: 'findTreeRef', owner, repo, host, treePath });
+    ref = found?.status === 'success' ? found.ref : treePath.split('/')[0];
+  }
+  return ref === refs?.defaultBranch ? null : ref;
 }
 
 /**
@@ -345,186 +594,2735 @@ function parseGitHubUrl(url) {
  */
 async function handleSaveToken() {
   const token = tokenInput.value.trim();
-  
+  const host = tokenSetupHost();
+
+  if (!host) {
+    tokenError.textContent = 'Enter a host name like github.example.com';
+    return;
+  }
+
   if (!token) {
     tokenError.textContent = 'Please enter a token';
     return;
   }
   
-  if (!token.startsWith('ghp_') && !token.startsWith('github_pat_')) {
+  // Older GHES versions still issue 40-character hex tokens
+  const legacyToken = host !== DEFAULT_HOST && /^[0-9a-f]{40}$/i.test(token);
+  if (!token.startsWith('ghp_') && !token.startsWith('github_pat_') && !legacyToken) {
     tokenError.textContent = 'Token should start with ghp_ (classic) or github_pat_ (fine-grained)';
     return;
   }
+
+  // Must be requested straight from the click, before anything is awaited
+  if (host !== DEFAULT_HOST && !await chrome.permissions.request({ origins: [hostPermission(host)] })) {
+    tokenError.textContent = `Git Gladiators needs access to ${host} to use it.`;
+    return;
+  }
   
   saveTokenBtn.textContent = '⏳ VERIFYING...';
   saveTokenBtn.disabled = true;
   
-  await sendMessage({ action: 'saveToken', token });
-  
-  try {
-    const response = await fetch('https://api.github.com/rate_limit', {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Accept': 'application/vnd.github.v3+json'
-      }
-    });
-    
-    if (response.ok) {
-      showMainScreen();
-    } else {
-      await sendMessage({ action: 'clearToken' });
-      tokenError.textContent = 'Invalid token. Please check and try again.';
+  // The stored token is only replaced once the new one verifies
+  const result = await sendMessage({ action: 'verifyToken', token, host });
+  if (result?.status === 'success') {
+    if (host !== DEFAULT_HOST && !enterpriseHosts.includes(host)) {
+      enterpriseHosts = [...enterpriseHosts, host];
+      await chrome.storage.sync.set({ enterpriseHosts });
     }
-  } catch (e) {
-    await sendMessage({ action: 'clearToken' });
-    tokenError.textContent = 'Could not verify token. Check your connection.';
+    currentHost = tabHost(activeTab) || host;
+    showMainScreen();
+  } else {
+    tokenError.textContent = result?.status === 'invalid_token'
+      ? 'Invalid token. Please check and try again.'
+      : 'Could not verify token. Check your connection.';
   }
   
   saveTokenBtn.textContent = '🔓 CONNECT';
   saveTokenBtn.disabled = false;
 }
 
+// --- Settings and token storage ---
+
+function showUnlockScreen() {
+  unlockScreen.style.display = 'flex';
+  tokenSetup.style.display = 'none';
+  mainScreen.style.display = 'none';
+  passphraseInput.value = '';
+  unlockError.textContent = '';
+  passphraseInput.focus();
+}
+
+async function handleUnlock() {
+  const passphrase = passphraseInput.value;
+  if (!passphrase) {
+    unlockError.textContent = 'Enter your passphrase';
+    return;
+  }
+
+  unlockBtn.disabled = true;
+  const result = await sendMessage({ action: 'unlockTokens', passphrase });
+  unlockBtn.disabled = false;
+
+  if (result?.status !== 'success') {
+    unlockError.textContent = result?.message || 'Could not unlock tokens';
+    return;
+  }
+  const { token } = await sendMessage({ action: 'getToken', host: currentHost });
+  if (token) {
+    showMainScreen();
+  } else {
+    showTokenSetup();
+  }
+}
+
+async function handleForgetTokens() {
+  if (forgetTokensBtn.dataset.confirm !== 'true') {
+    forgetTokensBtn.dataset.confirm = 'true';
+    forgetTokensBtn.textContent = 'DELETE ALL TOKENS? CLICK AGAIN';
+    return;
+  }
+  await sendMessage({ action: 'forgetTokens' });
+  delete forgetTokensBtn.dataset.confirm;
+  forgetTokensBtn.textContent = 'FORGOT PASSPHRASE';
+  showTokenSetup();
+}
+
+async function openSettings() {
+  storageError.textContent = '';
+  newPassphraseInput.value = '';
+  setView('settings');
+  await renderSettings();
+}
+
+async function renderSettings() {
+  const settings = await sendMessage({ action: 'getTokenSettings' });
+  if (!settings?.hosts) return;
+
+  for (const radio of document.querySelectorAll('input[name="tokenStorage"]')) {
+    radio.checked = radio.value === settings.mode;
+  }
+  newPassphraseInput.style.display = 'none';
+
+  tokenHostsEl.innerHTML = settings.hosts.length
+    ? settings.hosts.map(renderTokenHost).join('')
+    : '<p class="algo-desc">Not signed in to any host.</p>';
+
+  renderNotificationSettings();
+}
+
+function renderTokenHost(entry) {
+  const details = [entry.kind];
+  if (entry.login) details.push(`@${entry.login}`);
+  if (entry.scopes) details.push(entry.scopes.length ? `scopes: ${entry.scopes.join(', ')}` : 'no scopes');
+  const verified = entry.verifiedAt
+    ? `${entry.valid ? 'Verified' : 'Rejected'} ${formatAge(Date.now() - entry.verifiedAt).toLowerCase()}`
+    : 'Never verified';
+
+  return `
+    <div class="token-host ${entry.valid === false ? 'invalid' : ''}" data-host="${escapeHtml(entry.host)}">
+      <div class="token-host-name">${entry.host === currentHost ? '▶ ' : ''}${escapeHtml(entry.host)}</div>
+      <div>${escapeHtml(details.join(' · '))}</div>
+      <div>${verified}</div>
+      <div class="token-host-actions">
+        <button class="refresh-btn" data-action="verify">VERIFY NOW</button>
+        <button class="refresh-btn" data-action="sign-out">SIGN OUT</button>
+      </div>
+    </div>
+  `;
+}
+
 /**
- * Fetch stats from background script
+ * Sign-out asks for confirmation in place before the token is deleted
  */
-async function fetchAndDisplayStats() {
-  if (!currentRepo) return;
+async function handleTokenHostAction(e) {
+  const button = e.target.closest('button[data-action]');
+  const row = button?.closest('.token-host');
+  if (!row) return;
+  const host = row.dataset.host;
+  const actions = row.querySelector('.token-host-actions');
 
-  const thisRequest = ++fetchRequestId;
-  showStatus('Summoning warriors...');
+  if (button.dataset.action === 'verify') {
+    button.textContent = '⏳ VERIFYING...';
+    await sendMessage({ action: 'verifyToken', host });
+    renderSettings();
+  } else if (button.dataset.action === 'sign-out') {
+    actions.innerHTML = `
+      <span class="confirm-text">Sign out of ${escapeHtml(host)}?</span>
+      <button class="refresh-btn" data-action="confirm-sign-out">YES, SIGN OUT</button>
+      <button class="refresh-btn" data-action="cancel">KEEP</button>
+    `;
+  } else if (button.dataset.action === 'confirm-sign-out') {
+    await sendMessage({ action: 'clearToken', host });
+    if (host === currentHost) {
+      showTokenSetup();
+    } else {
+      renderSettings();
+    }
+  } else if (button.dataset.action === 'cancel') {
+    renderSettings();
+  }
+}
 
-  const result = await sendMessage({
-    action: 'fetchStats',
-    owner: currentRepo.owner,
-    repo: currentRepo.repo
-  });
+async function handleSaveStorage() {
+  const mode = document.querySelector('input[name="tokenStorage"]:checked')?.value;
+  const passphrase = newPassphraseInput.value;
+  storageError.textContent = '';
 
-  // Ignore stale responses if a newer request was started
-  if (thisRequest !== fetchRequestId) return;
+  if (mode === 'encrypted' && passphrase.length < 8) {
+    newPassphraseInput.style.display = '';
+    storageError.textContent = 'Choose a passphrase of at least 8 characters';
+    return;
+  }
 
-  handleResult(result);
+  const result = await sendMessage({ action: 'setTokenStorage', mode, passphrase });
+  if (result?.status !== 'success') {
+    storageError.textContent = result?.message || 'Could not change token storage';
+    return;
+  }
+  newPassphraseInput.value = '';
+  storageError.textContent = mode === 'session'
+    ? 'Saved. You will need to sign in again after the browser restarts.'
+    : 'Saved.';
+  renderSettings();
+}
+
+// --- Notifications ---
+
+// Events each pinned arena can notify about, keyed as in `arena.notify`
+const NOTIFICATION_EVENTS = {
+  overtaken: '⚔️ Someone overtakes you',
+  podium: '🏆 You reach the podium',
+  streak: '🔥 Your streak is about to break',
+  newcomer: '🆕 A new contributor enters'
+};
+
+async function renderNotificationSettings() {
+  let quietHours;
+  ({ pinnedArenas = [], quietHours } = await chrome.storage.sync.get(['pinnedArenas', 'quietHours']));
+
+  quietHoursInput.checked = !!quietHours?.enabled;
+  quietStartInput.value = quietHours?.start || '22:00';
+  quietEndInput.value = quietHours?.end || '08:00';
+  notificationsError.textContent = '';
+
+  notifyArenasEl.innerHTML = pinnedArenas.length
+    ? pinnedArenas.map((arena, index) => `
+      <div class="notify-arena" data-index="${index}">
+        <div class="notify-arena-name">📌 ${escapeHtml(arenaLabel(arena))}</div>
+        ${Object.entries(NOTIFICATION_EVENTS).map(([type, label]) => `
+        <label class="config-field">
+          <input type="checkbox" data-event="${type}" ${arena.notify?.[type] ? 'checked' : ''}>
+          <span class="config-label">${label}</span>
+        </label>`).join('')}
+      </div>
+    `).join('')
+    : '<p class="algo-desc">No pinned arenas yet. Pin one from the arena picker (▾).</p>';
+}
+
+async function handleSaveNotifications() {
+  const quietHours = {
+    enabled: quietHoursInput.checked,
+    start: quietStartInput.value,
+    end: quietEndInput.value
+  };
+  if (quietHours.enabled && (!quietHours.start || !quietHours.end)) {
+    notificationsError.textContent = 'Set when quiet hours start and end';
+    return;
+  }
+
+  for (const row of notifyArenasEl.querySelectorAll('.notify-arena')) {
+    const notify = {};
+    for (const input of row.querySelectorAll('input[data-event]')) {
+      notify[input.dataset.event] = input.checked;
+    }
+    pinnedArenas[row.dataset.index] = { ...pinnedArenas[row.dataset.index], notify };
+  }
+
+  await chrome.storage.sync.set({ pinnedArenas, quietHours });
+  notificationsError.textContent = 'Saved.';
 }
 
+// --- OAuth device flow ---
+
 /**
- * Handle API result
+ * OAuth apps are per host, so client IDs are saved per host too
  */
-function handleResult(result) {
-  if (!result) {
-    showError('No response', 'Could not get data');
+async function loadClientId() {
+  const { oauthClientIds = {} } = await chrome.storage.sync.get(['oauthClientIds']);
+  clientIdInput.value = oauthClientIds[tokenSetupHost() || DEFAULT_HOST] || '';
+  oauthSettings.open = !clientIdInput.value;
+}
+
+async function handleDeviceSignIn() {
+  const host = tokenSetupHost();
+  const clientId = clientIdInput.value.trim();
+  tokenError.textContent = '';
+
+  if (!host) {
+    tokenError.textContent = 'Enter a host name like github.example.com';
     return;
   }
-  
-  switch (result.status) {
-    case 'aborted':
-      return; // Request was cancelled, ignore
-    case 'success':
-      hideStatus();
-      rawContributorData = result.data;
-      const processed = processContributors(result.data, currentPeriod);
-      renderLeaderboard(processed);
-      break;
-      
-    case 'computing':
-      showStatus('GitHub is computing stats... Retrying in 3s');
-      setTimeout(fetchAndDisplayStats, 3000);
-      break;
-      
-    case 'no_token':
-      showTokenSetup();
-      break;
-      
-    case 'invalid_token':
-      showTokenSetup();
-      tokenError.textContent = 'Token expired or invalid. Please enter a new one.';
-      break;
-      
-    case 'rate_limited':
-      showError('⚠️ Rate Limited', 'Too many requests. Wait a minute.');
-      break;
-      
-    case 'not_found':
-      showError('🔒 Not Found', 'Repo not found. Check token has repo access.');
-      break;
-      
-    case 'forbidden':
-      showError('🔒 Forbidden', 'Token lacks permission for this repo.');
-      break;
-      
-    case 'empty':
-      showEmpty('No warriors found', 'This repository has no contributor data');
-      break;
-      
-    default:
-      showError('⚠️ Error', result.message || 'Something went wrong');
+  if (!clientId) {
+    oauthSettings.open = true;
+    tokenError.textContent = 'Enter the client ID of an OAuth app with device flow enabled';
+    return;
+  }
+  if (host !== DEFAULT_HOST && !await chrome.permissions.request({ origins: [hostPermission(host)] })) {
+    tokenError.textContent = `Git Gladiators needs access to ${host} to use it.`;
+    return;
   }
+
+  const { oauthClientIds = {} } = await chrome.storage.sync.get(['oauthClientIds']);
+  await chrome.storage.sync.set({ oauthClientIds: { ...oauthClientIds, [host]: clientId } });
+
+  deviceSignInBtn.disabled = true;
+  deviceSignInBtn.textContent = '⏳ CONTACTING GITHUB...';
+  const flow = await sendMessage({ action: 'startDeviceFlow', host, clientId });
+  deviceSignInBtn.disabled = false;
+  deviceSignInBtn.textContent = '🐙 SIGN IN WITH GITHUB';
+  renderDeviceFlow(flow);
 }
 
 /**
- * Render leaderboard
+ * Show the user code while the background worker polls, and move on once
+ * it reports the outcome
  */
-function renderLeaderboard(contributors) {
-  leaderboardEl.innerHTML = '';
-  
-  if (!contributors?.length) {
-    const periodName = currentPeriod === 'week' ? 'this week' :
-                       currentPeriod === 'month' ? 'this month' :
-                       currentPeriod === 'year' ? 'this year' : 'all time';
-    showEmpty('No activity', `No contributions found for ${periodName}`);
+function renderDeviceFlow(flow) {
+  const pending = flow?.status === 'pending';
+  deviceFlowPanel.style.display = pending ? 'flex' : 'none';
+  deviceSignInBtn.style.display = pending ? 'none' : '';
+
+  if (pending) {
+    deviceCodeEl.textContent = flow.userCode;
+    openVerificationBtn.dataset.url = flow.verificationUri;
+    const minutes = Math.max(1, Math.round((flow.expiresAt - Date.now()) / 60000));
+    deviceStatusEl.textContent = `Waiting for you to authorize on ${flow.host}… the code expires in ${minutes} min.`;
     return;
   }
-  
-  contributors.forEach((contributor, index) => {
-    const card = createContributorCard(contributor, index);
-    leaderboardEl.appendChild(card);
-  });
+
+  if (flow?.status === 'success') {
+    chrome.storage.session.remove(['deviceFlow']);
+    if (flow.host !== DEFAULT_HOST && !enterpriseHosts.includes(flow.host)) {
+      enterpriseHosts = [...enterpriseHosts, flow.host];
+    }
+    currentHost = tabHost(activeTab) || flow.host;
+    showMainScreen();
+  } else if (flow?.message) {
+    tokenError.textContent = flow.message;
+  }
 }
 
 /**
- * Create contributor card
+ * Fetch stats from background script.
+ * Renders any cached leaderboard immediately, then updates it in place
+ * once the background worker has revalidated.
  */
-function createContributorCard(contributor, index) {
-  const card = document.createElement('div');
-  card.className = `contributor rank-${contributor.rank}`;
+async function fetchAndDisplayStats({ force = false } = {}) {
+  if (!currentArena) return;
+
+  const thisRequest = ++fetchRequestId;
+  await Promise.all([loadRankHistory(), loadAchievements()]);
+
+  if (!rawContributorData) {
+    const cached = await sendMessage(statsMessage('getCachedStats'));
+    if (thisRequest !== fetchRequestId) return;
+
+    if (cached?.status === 'success') {
+      displayContributorData(cached);
+    }
+  }
+
+  if (rawContributorData) {
+    showStatus('Checking for fresh intel...', { keepLeaderboard: true });
+  } else {
+    showStatus('Summoning warriors...');
+  }
+
+  const result = await sendMessage(statsMessage('fetchStats', { force }));
+
+  // Ignore stale responses if a newer request was started
+  if (thisRequest !== fetchRequestId) return;
+
+  handleResult(result);
+  renderRateBudget();
+}
+
+// Background actions for multi-repo arenas, keyed by their single-repo equivalent
+const ARENA_ACTIONS = {
+  fetchStats: 'fetchArenaStats',
+  getCachedStats: 'getCachedArenaStats'
+};
+
+/**
+ * Build a stats request for the current arena
+ */
+function statsMessage(action, extra = {}) {
+  if (currentArena.type === 'repo') {
+    const { owner, repo, ref, host } = currentArena;
+    return { action, owner, repo, ref, host, ...extra };
+  }
+  return { action: ARENA_ACTIONS[action], arena: currentArena, ...extra };
+}
+
+/**
+ * Store and render a successful stats result along with its fetch time
+ */
+function displayContributorData(result) {
+  rawContributorData = result.data;
+  dataFetchedAt = result.fetchedAt || Date.now();
+  historyComplete = result.historyComplete !== false;
+  renderCurrentData();
+  renderCacheAge();
+}
+
+function renderCacheAge() {
+  if (!dataFetchedAt) {
+    cacheAgeEl.textContent = '';
+    return;
+  }
+  const age = `UPDATED ${formatAge(Date.now() - dataFetchedAt)}`;
+  // Older weeks use GitHub's weekly estimates until the backfill reaches them
+  cacheAgeEl.textContent = historyComplete ? age : `${age} · HISTORY BACKFILL IN PROGRESS`;
+}
+
+function formatAge(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'JUST NOW';
+  if (minutes < 60) return `${minutes}M AGO`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}H AGO`;
+  return `${Math.floor(hours / 24)}D AGO`;
+}
+
+// Failures that leave an already-rendered cached leaderboard in place
+const CACHE_KEEPING_STATUSES = ['rate_limited', 'error', 'forbidden'];
+
+// Retries while GitHub computes /stats/contributors back off up to a cap
+const COMPUTING_RETRY_MS = 3000;
+const COMPUTING_RETRY_MAX_MS = 60 * 1000;
+const COMPUTING_MAX_RETRIES = 6;
+const LOW_BUDGET_RATIO = 0.1;
+
+/**
+ * Refetch after `delay`, replacing any retry already scheduled
+ */
+function scheduleRetry(delay, options = {}) {
+  clearTimeout(retryTimer);
+  retryTimer = setTimeout(() => fetchAndDisplayStats(options), delay);
+}
+
+/**
+ * Back off while GitHub computes stats. Returns a status line, or null once
+ * the retries are used up.
+ */
+function scheduleComputingRetry(options) {
+  if (computingRetries >= COMPUTING_MAX_RETRIES) return null;
+  const delay = Math.min(COMPUTING_RETRY_MS * 2 ** computingRetries, COMPUTING_RETRY_MAX_MS);
+  computingRetries++;
+  scheduleRetry(delay, options);
+  return `Retrying in ${Math.round(delay / 1000)}s`;
+}
+
+function formatClock(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Show the arena host's remaining REST and GraphQL budget in the status bar.
+ * A low budget, or a fetch paused until the reset, keeps the bar visible.
+ */
+async function renderRateBudget() {
+  const host = currentArena?.host || DEFAULT_HOST;
+  const { limits = {}, pause } = await sendMessage({ action: 'getRateLimits', host }) || {};
+  const labels = { core: 'REST', graphql: 'GQL' };
+  const budgets = Object.entries(labels).filter(([resource]) => limits[resource]);
+
+  const low = budgets.some(([resource]) => limits[resource].remaining < limits[resource].limit * LOW_BUDGET_RATIO);
+  const resetAt = Math.max(0, ...budgets.map(([resource]) => limits[resource].resetAt));
+  rateBudgetEl.textContent = budgets.length
+    ? budgets.map(([resource, label]) => `${label} ${formatNumber(limits[resource].remaining)}/${formatNumber(limits[resource].limit)}`).join(' · ')
+      + ` · RESETS ${formatClock(resetAt)}`
+    : '';
+  rateBudgetEl.classList.toggle('low', low);
+
+  if (pause) {
+    showStatus(`⏸ Rate limit reached, resuming at ${formatClock(pause.resumeAt)}`, { keepLeaderboard: true });
+  } else if (low && statusBar.classList.contains('hidden')) {
+    showStatus('⚠️ API budget low', { keepLeaderboard: true });
+  }
+}
+
+/**
+ * Handle API result
+ */
+function handleResult(result) {
+  if (!result) {
+    showError('No response', 'Could not get data');
+    return;
+  }
+
+  // The background resumes after the reset too; this refreshes an open popup
+  if (result.status === 'rate_limited' && result.resetAt) {
+    scheduleRetry(Math.max(result.resetAt - Date.now(), 0) + 2000);
+  }
+  
+  // Keep showing cached data when revalidation fails
+  if (rawContributorData && CACHE_KEEPING_STATUSES.includes(result.status)) {
+    showStatus(`⚠️ ${result.message || 'Could not refresh'} Showing cached data.`, { keepLeaderboard: true });
+    return;
+  }
+
+  switch (result.status) {
+    case 'aborted':
+      return; // Request was cancelled, ignore
+    case 'success':
+      hideStatus();
+      computingRetries = 0;
+      displayContributorData(result);
+      // Cache hits (fromCache) show the data already snapshotted when it was fetched
+      if (!result.fromCache) {
+        recordSnapshot(activePeriod(), processContributors(resolvedContributors(), activePeriod(), SCORING_CONFIG));
+      }
+      showIncompleteRepos(result.incompleteRepos);
+      break;
+      
+    case 'computing': {
+      const retry = scheduleComputingRetry({ force: true });
+      showStatus(`GitHub is computing stats... ${retry || 'Press REFRESH to try again'}`, { keepLeaderboard: !!rawContributorData });
+      break;
+    }
+      
+    case 'no_token':
+      showTokenSetup();
+      break;
+      
+    case 'invalid_token':
+      showTokenSetup();
+      tokenError.textContent = 'Token expired or invalid. Please enter a new one.';
+      break;
+      
+    case 'rate_limited':
+      showError('⚠️ Rate Limited', result.message || 'Too many requests. Wait a minute.');
+      break;
+      
+    case 'not_found':
+      showError('🔒 Not Found', result.message || 'Repo not found. Check token has repo access.');
+      break;
+      
+    case 'forbidden':
+      showError('🔒 Forbidden', 'Token lacks permission for this repo.');
+      break;
+      
+    case 'empty':
+      showEmpty('No warriors found', 'This repository has no contributor data');
+      break;
+      
+    default:
+      showError('⚠️ Error', result.message || 'Something went wrong');
+  }
+}
+
+/**
+ * Note arena repos that could not be loaded, retrying while GitHub computes stats
+ */
+function showIncompleteRepos(incompleteRepos) {
+  if (!incompleteRepos?.length) return;
+
+  const computing = incompleteRepos.filter(r => r.status === 'computing').length;
+  const failed = incompleteRepos.length - computing;
+  const parts = [];
+  if (computing) parts.push(`${computing} repo${computing === 1 ? '' : 's'} still computing`);
+  if (failed) parts.push(`${failed} repo${failed === 1 ? '' : 's'} unavailable`);
+  const retry = computing ? scheduleComputingRetry() : null;
+  if (retry) parts.push(retry.toLowerCase());
+  showStatus(`⚠️ ${parts.join(', ')}`, { keepLeaderboard: true });
+}
+
+// --- Arenas ---
+
+// Arenas on a GHES host carry `host`; github.com arenas leave it unset
+function repoArena({ owner, repo, ref = null, host = null }) {
+  const arena = { type: 'repo', owner, repo, ref };
+  if (host && host !== DEFAULT_HOST) arena.host = host;
+  return arena;
+}
+
+function ownerArena(owner, host = null) {
+  const arena = { type: 'arena', name: `All of ${owner}`, members: [owner] };
+  if (host && host !== DEFAULT_HOST) arena.host = host;
+  return arena;
+}
+
+function arenaLabel(arena) {
+  const label = arena.type === 'repo' ? `${arena.owner}/${arena.repo}` : arena.name;
+  return arena.host ? `${arena.host}: ${label}` : label;
+}
+
+/**
+ * Switch the leaderboard to a different arena and load its stats
+ */
+function selectArena(arena) {
+  currentArena = arena;
+  duelLogins = [null, null];
+  clearTimeout(retryTimer);
+  computingRetries = 0;
+  rawContributorData = null;
+  dataFetchedAt = null;
+  historyLogins = null;
+  pendingCelebrations = [];
+  achievementToast.style.display = 'none';
+  renderCacheAge();
+  repoNameEl.textContent = arenaLabel(arena);
+  repoRefEl.textContent = arena.ref ? `⎇ ${arena.ref}` : '';
+  repoRefEl.title = arena.ref ? `Computed from ${arena.ref}` : '';
+  repoRefEl.style.display = arena.ref ? '' : 'none';
+  setView('leaderboard');
+  fetchAndDisplayStats();
+}
+
+/**
+ * Show the arena picker: the current repo, its owner's org, and saved arenas
+ */
+function renderArenaList() {
+  const options = [];
+  if (currentRepo) {
+    options.push({ icon: '📦', arena: repoArena(currentRepo) });
+  }
+  if (contextOwner) {
+    options.push({ icon: '🏢', arena: ownerArena(contextOwner, currentHost) });
+  }
+  savedArenas.forEach((arena, index) => options.push({ icon: '⚔️', arena, savedIndex: index }));
+
+  arenaListEl.innerHTML = '';
+  for (const option of options) {
+    const row = document.createElement('div');
+    row.className = 'arena-option';
+    if (currentArena && arenaLabel(currentArena) === arenaLabel(option.arena)) {
+      row.classList.add('active');
+    }
+
+    const selectBtn = document.createElement('button');
+    selectBtn.className = 'arena-select';
+    selectBtn.textContent = `${option.icon} ${arenaLabel(option.arena)}`;
+    if (option.arena.type === 'arena') {
+      selectBtn.title = option.arena.members.join(', ');
+    }
+    selectBtn.addEventListener('click', () => selectArena(option.arena));
+    row.appendChild(selectBtn);
+
+    const pinned = isPinned(option.arena);
+    const pinBtn = document.createElement('button');
+    pinBtn.className = 'arena-pin';
+    pinBtn.classList.toggle('pinned', pinned);
+    pinBtn.textContent = '📌';
+    pinBtn.title = pinned ? 'Unpin: stop refreshing in the background' : 'Pin: refresh in the background';
+    pinBtn.addEventListener('click', () => togglePin(option.arena));
+    row.appendChild(pinBtn);
+
+    if (option.savedIndex !== undefined) {
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'arena-delete';
+      deleteBtn.textContent = '✕';
+      deleteBtn.title = 'Delete arena';
+      deleteBtn.addEventListener('click', () => deleteArena(option.savedIndex));
+      row.appendChild(deleteBtn);
+    }
+
+    arenaListEl.appendChild(row);
+  }
+}
+
+/**
+ * Parse the arena form: one `owner/repo` or org name per line
+ */
+function parseArenaMembers(text) {
+  const members = [];
+  for (const line of text.split(/[\n,]+/)) {
+    const member = line.trim()
+      .replace(/^https?:\/\/github\.com\//, '')
+      .replace(/\.git$/, '')
+      .replace(/\/+$/, '');
+    if (!member) continue;
+    if (!/^[\w.-]+(\/[\w.-]+)?$/.test(member)) return { error: `Not a repo or org: ${member}` };
+    members.push(member);
+  }
+  return { members };
+}
+
+async function handleSaveArena() {
+  const name = arenaNameInput.value.trim();
+  const { members, error } = parseArenaMembers(arenaMembersInput.value);
+
+  if (!name) {
+    arenaError.textContent = 'Give your arena a name';
+    return;
+  }
+  if (error) {
+    arenaError.textContent = error;
+    return;
+  }
+  if (members.length === 0) {
+    arenaError.textContent = 'Add at least one repo or org';
+    return;
+  }
+
+  const arena = { type: 'arena', name, members };
+  if (currentHost !== DEFAULT_HOST) arena.host = currentHost;
+  savedArenas = savedArenas.filter(a => a.name !== name).concat(arena);
+  await chrome.storage.sync.set({ arenas: savedArenas });
+
+  arenaNameInput.value = '';
+  arenaMembersInput.value = '';
+  arenaError.textContent = '';
+  selectArena(arena);
+}
+
+async function deleteArena(index) {
+  const [deleted] = savedArenas.splice(index, 1);
+  await chrome.storage.sync.set({ arenas: savedArenas });
+  // Repo badges go with the worker's repo cache; a deleted arena's go now
+  if (deleted.type !== 'repo') await chrome.storage.local.remove(ACHIEVEMENTS_PREFIX + arenaStorageKey(deleted));
+  if (isPinned(deleted)) await togglePin(deleted);
+  renderArenaList();
+}
+
+function isPinned(arena) {
+  const key = arenaStorageKey(arena);
+  return pinnedArenas.some(pinned => arenaStorageKey(pinned) === key);
+}
+
+/**
+ * Pin or unpin an arena. The background worker refreshes pinned arenas on a
+ * schedule and badges the toolbar icon with your rank in them.
+ */
+async function togglePin(arena) {
+  const key = arenaStorageKey(arena);
+  pinnedArenas = isPinned(arena)
+    ? pinnedArenas.filter(pinned => arenaStorageKey(pinned) !== key)
+    : pinnedArenas.concat(arena);
+  await chrome.storage.sync.set({ pinnedArenas });
+  renderArenaList();
+}
+
+// --- Branch / ref ---
+
+/**
+ * Show the ref picker for single-repo arenas, suggesting the repo's branches and tags
+ */
+async function renderRefPicker() {
+  const isRepo = currentArena?.type === 'repo';
+  refSection.style.display = isRepo ? '' : 'none';
+  if (!isRepo) return;
+
+  const { owner, repo, host } = currentArena;
+  refInput.value = currentArena.ref || '';
+  refError.textContent = '';
+
+  const refs = await sendMessage({ action: 'listRefs', owner, repo, host });
+  if (refs?.status !== 'success' || currentArena.owner !== owner || currentArena.repo !== repo) return;
+
+  refInput.placeholder = refs.defaultBranch ? `${refs.defaultBranch} (default)` : 'Default branch';
+  refOptions.innerHTML = [...refs.branches, ...refs.tags]
+    .map(name => `<option value="${escapeHtml(name)}"></option>`)
+    .join('');
+}
+
+/**
+ * Recompute the current repo's leaderboard from another ref (null for the default branch)
+ */
+function selectRef(ref) {
+  if (currentArena?.type !== 'repo') return;
+  if (ref && /\s|\.\.|^[-\/]|\/$/.test(ref)) {
+    refError.textContent = `Not a valid ref: ${ref}`;
+    return;
+  }
+
+  const arena = repoArena({ ...currentArena, ref: ref || null });
+  if (currentRepo?.owner === arena.owner && currentRepo?.repo === arena.repo) {
+    currentRepo.ref = arena.ref;
+  }
+  selectArena(arena);
+}
+
+// --- Squads ---
+
+/**
+ * Combine member scores into a squad score
+ */
+function aggregateScores(scores, mode) {
+  if (scores.length === 0) return 0;
+  const total = scores.reduce((sum, score) => sum + score, 0);
+
+  switch (mode) {
+    case 'average':
+      return total / scores.length;
+    case 'median': {
+      const sorted = [...scores].sort((a, b) => a - b);
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+    default:
+      return total;
+  }
+}
+
+/**
+ * Rank squads by their members' scores for the period. Members with no
+ * activity count as 0, so average and median reward squads that all show up.
+ */
+function calculateSquadStandings(processed, squadList, mode) {
+  const byLogin = new Map(processed.map(c => [c.login.toLowerCase(), c]));
+
+  const standings = squadList.map(squad => {
+    const members = squad.members.map(login => byLogin.get(login.toLowerCase()) || { login, score: 0, commits: 0 });
+    const active = members.filter(m => m.score > 0);
+    const mvp = active.reduce((best, m) => (!best || m.score > best.score ? m : best), null);
+
+    return {
+      name: squad.name,
+      score: Math.round(aggregateScores(members.map(m => m.score), mode) * 10) / 10,
+      commits: members.reduce((sum, m) => sum + m.commits, 0),
+      memberCount: members.length,
+      activeCount: active.length,
+      mvp: mvp?.login || null
+    };
+  });
+
+  standings.sort((a, b) => b.score - a.score);
+  standings.forEach((squad, index) => {
+    squad.rank = index + 1;
+  });
+  return standings;
+}
+
+function renderSquadStandings(processed) {
+  if (squads.length === 0) {
+    squadStandingsEl.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-icon">🛡️</div>
+        <div class="empty-message">No squads yet</div>
+        <div class="error-hint">Edit rosters to group gladiators into squads</div>
+      </div>
+    `;
+    return;
+  }
+
+  const standings = calculateSquadStandings(processed, squads, squadScoring);
+  squadStandingsEl.innerHTML = standings.map(squad => `
+    <div class="squad-row rank-${squad.rank}">
+      <div class="rank">#${squad.rank}</div>
+      <div class="squad-info">
+        <div class="squad-name">${escapeHtml(squad.name)}</div>
+        <div class="squad-meta">
+          ${squad.activeCount}/${squad.memberCount} active · ⚡${formatNumber(squad.commits)}${squad.mvp ? ` · MVP ${escapeHtml(squad.mvp)}` : ''}
+        </div>
+      </div>
+      <div class="score-display">
+        <div class="score">${squad.score}</div>
+        <div class="score-label">${squadScoring.toUpperCase()}</div>
+      </div>
+    </div>
+  `).join('');
+}
+
+function setSquadScoring(mode) {
+  squadScoring = mode;
+  squadModeTabs.querySelectorAll('.squad-mode').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.mode === mode);
+  });
+}
+
+/**
+ * Roster text format: one squad per line, `Squad name: login1, login2`
+ */
+function formatSquads(squadList) {
+  return squadList.map(squad => `${squad.name}: ${squad.members.join(', ')}`).join('\n');
+}
+
+function parseSquads(text) {
+  const { lists, error } = parseNamedLists(text, 'squad name');
+  return error ? { error } : { squads: lists };
+}
+
+/**
+ * Parse `name: member1, member2` lines into [{ name, members }]
+ */
+function parseNamedLists(text, noun) {
+  const lists = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    const separator = line.indexOf(':');
+    if (separator === -1) return { error: `Missing ":" after ${noun}: ${line.trim()}` };
+
+    const name = line.slice(0, separator).trim();
+    const members = line.slice(separator + 1).split(',').map(m => m.trim()).filter(Boolean);
+    if (!name) return { error: `Missing ${noun}: ${line.trim()}` };
+    lists.push({ name, members });
+  }
+  return { lists };
+}
+
+/**
+ * Import rosters from a JSON file ({ "Squad": ["login"] } or [{ name, members }])
+ * or a CSV file with `squad,login` rows
+ */
+function parseSquadFile(fileName, content) {
+  if (fileName.toLowerCase().endsWith('.json')) {
+    const json = JSON.parse(content);
+    const entries = Array.isArray(json)
+      ? json.map(squad => [squad.name, squad.members])
+      : Object.entries(json);
+    return entries
+      .filter(([name, members]) => name && Array.isArray(members))
+      .map(([name, members]) => ({ name: String(name), members: members.map(String) }));
+  }
+
+  const byName = new Map();
+  for (const row of content.split(/\r?\n/)) {
+    const [name, login] = row.split(',').map(cell => cell?.trim().replace(/^"|"$/g, ''));
+    if (!name || !login || (name.toLowerCase() === 'squad' && login.toLowerCase() === 'login')) continue;
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(login);
+  }
+  return Array.from(byName, ([name, members]) => ({ name, members }));
+}
+
+function openSquadEditor() {
+  squadsInput.value = formatSquads(squads);
+  seedOrgInput.value = seedOrgInput.value || contextOwner || '';
+  squadsError.textContent = '';
+  setView('squads');
+}
+
+async function handleSaveSquads() {
+  const { squads: parsed, error } = parseSquads(squadsInput.value);
+  if (error) {
+    squadsError.textContent = error;
+    return;
+  }
+
+  try {
+    await chrome.storage.local.set({ squads: parsed });
+    await chrome.storage.sync.remove('squads');
+  } catch (e) {
+    squadsError.textContent = `Could not save squads: ${e.message}`;
+    return;
+  }
+
+  squads = parsed;
+  renderCurrentData();
+  setView('teams');
+}
+
+async function handleImportSquads() {
+  const file = importSquadsInput.files[0];
+  if (!file) return;
+
+  try {
+    const imported = parseSquadFile(file.name, await file.text());
+    if (imported.length === 0) {
+      squadsError.textContent = 'No squads found in file';
+      return;
+    }
+    squadsInput.value = formatSquads(imported);
+    squadsError.textContent = '';
+  } catch (e) {
+    squadsError.textContent = `Could not read file: ${e.message}`;
+  } finally {
+    importSquadsInput.value = '';
+  }
+}
+
+async function handleSeedSquads() {
+  const org = seedOrgInput.value.trim();
+  if (!org) {
+    squadsError.textContent = 'Enter an organization to seed from';
+    return;
+  }
+
+  seedSquadsBtn.disabled = true;
+  squadsError.textContent = '';
+  const result = await sendMessage({ action: 'fetchOrgTeams', org, host: currentHost });
+  seedSquadsBtn.disabled = false;
+
+  if (result?.status === 'aborted') return; // Superseded by a newer request
+  if (result?.status !== 'success') {
+    squadsError.textContent = result?.message || 'Could not load teams';
+    return;
+  }
+  if (result.squads.length === 0) {
+    squadsError.textContent = `${org} has no teams you can see`;
+    return;
+  }
+  squadsInput.value = formatSquads(result.squads);
+}
+
+// --- Date ranges ---
+
+function describePeriod() {
+  return currentPeriod === 'custom' ? customRange.label || 'this range' : PERIOD_NAMES[currentPeriod];
+}
+
+function formatDate(ms) {
+  return new Date(ms).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Show the active range's dates, and what compare mode compares against
+ */
+function renderRangeLabel() {
+  const period = activePeriod();
+  const { start, end } = getPeriodRange(period);
+  let label = period === 'all' ? 'All time' : `${formatDate(start)} – ${formatDate(Math.min(end, Date.now()) - 1)}`;
+
+  if (compareMode) {
+    const previous = getPreviousRange(period);
+    if (previous) {
+      const prev = getPeriodRange(previous);
+      label += ` vs ${formatDate(prev.start)} – ${formatDate(prev.end - 1)}`;
+    }
+  } else if (snapshotBaseline) {
+    label += ` · moves since ${formatDate(snapshotBaseline.t)}`;
+  }
+  if (start < Date.now() - PULLS_WINDOW_MS) {
+    label += ' · PRs & reviews: last 12 months only';
+  }
+  rangeLabelEl.textContent = label;
+}
+
+/**
+ * Fill the quarter picker with the last eight calendar quarters
+ */
+function renderQuarterOptions() {
+  const today = new Date();
+  let year = today.getFullYear();
+  let q = Math.floor(today.getMonth() / 3);
+
+  quarterSelect.innerHTML = '<option value="">Pick a quarter…</option>';
+  for (let i = 0; i < 8; i++) {
+    const option = document.createElement('option');
+    option.value = `${year}-${q}`;
+    option.textContent = `Q${q + 1} ${year}`;
+    quarterSelect.appendChild(option);
+    if (--q < 0) {
+      q = 3;
+      year--;
+    }
+  }
+}
+
+function setCustomRange(range) {
+  customRange = range;
+  rangeError.textContent = '';
+  setTimePeriod('custom');
+}
+
+function handleApplyRange() {
+  const start = rangeStartInput.valueAsNumber;
+  const end = rangeEndInput.valueAsNumber;
+
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    rangeError.textContent = 'Pick both a start and an end date';
+    return;
+  }
+  if (end < start) {
+    rangeError.textContent = 'End date is before start date';
+    return;
+  }
+
+  // Date inputs are UTC midnight; the end date is inclusive
+  setCustomRange({
+    start,
+    end: end + DAY_MS,
+    label: `${rangeStartInput.value} – ${rangeEndInput.value}`
+  });
+}
+
+// --- Identities ---
+
+/**
+ * The loaded contributor data with identity rules applied
+ */
+function resolvedContributors() {
+  return applyIdentityRules(rawContributorData, identityRules);
+}
+
+function openIdentityEditor() {
+  excludeBotsInput.checked = identityRules.excludeBots;
+  excludeLoginsInput.value = identityRules.excludeLogins.join('\n');
+  aliasesInput.value = formatSquads(identityRules.aliases);
+  identitiesError.textContent = '';
+  renderUnlinkedAuthors();
+  setView('identities');
+}
+
+/**
+ * List commit authors whose email isn't linked to a GitHub account, each
+ * with a field to map them onto a login
+ */
+function renderUnlinkedAuthors() {
+  const unlinked = (rawContributorData || [])
+    .filter(c => c.unlinked)
+    .map(c => ({ ...c, commits: c.weeks.reduce((sum, w) => sum + w.c, 0) }))
+    .sort((a, b) => b.commits - a.commits);
+
+  unlinkedListEl.innerHTML = '';
+  if (unlinked.length === 0) {
+    unlinkedListEl.innerHTML = '<div class="error-hint">Every commit author is linked to a GitHub account</div>';
+    return;
+  }
+
+  for (const author of unlinked) {
+    const row = document.createElement('div');
+    row.className = 'unlinked-row';
+    row.innerHTML = `
+      <span class="unlinked-author" title="${escapeHtml(author.login)}">${escapeHtml(author.name || author.login)} · ${formatNumber(author.commits)}⚡</span>
+      <input type="text" class="range-input unlinked-login" placeholder="login">
+      <button class="range-btn">LINK</button>
+    `;
+    row.querySelector('button').addEventListener('click', () => {
+      const login = row.querySelector('input').value.trim();
+      if (login) linkAlias(login, author.login);
+    });
+    unlinkedListEl.appendChild(row);
+  }
+}
+
+/**
+ * Add an alias to the (unsaved) alias text, joining an existing line for the login
+ */
+function linkAlias(login, alias) {
+  const { lists = [] } = parseNamedLists(aliasesInput.value, 'login');
+  const existing = lists.find(l => l.name.toLowerCase() === login.toLowerCase());
+  if (existing) {
+    if (!existing.members.includes(alias)) existing.members.push(alias);
+  } else {
+    lists.push({ name: login, members: [alias] });
+  }
+  aliasesInput.value = formatSquads(lists);
+}
+
+async function handleSaveIdentities() {
+  const { lists, error } = parseNamedLists(aliasesInput.value, 'login');
+  if (error) {
+    identitiesError.textContent = error;
+    return;
+  }
+
+  identityRules = {
+    excludeBots: excludeBotsInput.checked,
+    excludeLogins: excludeLoginsInput.value.split('\n').map(l => l.trim()).filter(Boolean),
+    aliases: lists
+  };
+  await chrome.storage.sync.set({ identityRules });
+  renderCurrentData();
+  setView('leaderboard');
+}
+
+// --- Path exclusions ---
+
+/**
+ * Key of the exclusion list being edited: the current repo (host-qualified
+ * for GHES, as the worker keys it), or the shared list (`*`) that every repo
+ * without its own list falls back to
+ */
+function pathExclusionScope() {
+  return currentArena?.type === 'repo' ? arenaStorageKey({ ...currentArena, ref: null }) : '*';
+}
+
+async function openPathEditor() {
+  const scope = pathExclusionScope();
+  const { owner, repo, host } = currentArena?.type === 'repo' ? currentArena : {};
+  const { globs = [] } = await sendMessage({ action: 'getPathExclusions', owner, repo, host });
+
+  pathsScopeEl.textContent = scope === '*' ? 'every repo without its own list' : scope;
+  pathExclusionsInput.value = globs.join('\n');
+  pathsError.textContent = '';
+  setView('paths');
+}
+
+/**
+ * Store the edited globs, or drop the list so the scope falls back to the defaults
+ */
+async function savePathExclusions(globs) {
+  const { pathExclusions = {} } = await chrome.storage.sync.get(['pathExclusions']);
+  const scope = pathExclusionScope();
+  if (globs) {
+    pathExclusions[scope] = globs;
+  } else {
+    delete pathExclusions[scope];
+  }
+  await chrome.storage.sync.set({ pathExclusions });
+
+  // The background recomputes line counts once it sees the globs changed
+  setView('leaderboard');
+  fetchAndDisplayStats();
+}
+
+function handleSavePaths() {
+  const globs = pathExclusionsInput.value.split('\n').map(l => l.trim()).filter(Boolean);
+  const invalid = globs.find(glob => /\s/.test(glob));
+  if (invalid) {
+    pathsError.textContent = `Paths can't contain spaces: ${invalid}`;
+    return;
+  }
+  savePathExclusions(globs);
+}
+
+// --- GitHub page widgets ---
+
+// content.js renders the widgets from cached stats; see DEFAULT_WIDGET_SETTINGS
+async function openWidgetSettings() {
+  const { widgetSettings } = await chrome.storage.sync.get(['widgetSettings']);
+  const settings = { ...DEFAULT_WIDGET_SETTINGS, ...widgetSettings };
+  widgetSidebarInput.checked = settings.sidebar;
+  widgetChipsInput.checked = settings.authorChips;
+  widgetHovercardsInput.checked = settings.hovercards;
+  widgetPeriodInput.value = settings.period;
+  setView('widgets');
+}
+
+async function handleSaveWidgets() {
+  const widgetSettings = {
+    sidebar: widgetSidebarInput.checked,
+    authorChips: widgetChipsInput.checked,
+    hovercards: widgetHovercardsInput.checked,
+    period: widgetPeriodInput.value
+  };
+  // Open GitHub tabs pick this up through storage.onChanged
+  await chrome.storage.sync.set({ widgetSettings });
+  setView('leaderboard');
+}
+
+// --- Scoring editor ---
+
+const SCORING_FIELDS = [
+  { key: 'commitWeight', label: '⚡ Commits', min: 0, max: 1, step: 0.05 },
+  { key: 'additionsWeight', label: '+ Lines added', min: 0, max: 1, step: 0.05 },
+  { key: 'deletionsWeight', label: '− Lines deleted', min: 0, max: 1, step: 0.05 },
+  { key: 'pullRequestWeight', label: '⇡ PRs opened', min: 0, max: 1, step: 0.05 },
+  { key: 'mergedWeight', label: '⇡ PRs merged', min: 0, max: 1, step: 0.05 },
+  { key: 'reviewWeight', label: '👀 Reviews', min: 0, max: 1, step: 0.05 },
+  { key: 'reviewCommentWeight', label: '💬 Review comments', min: 0, max: 1, step: 0.05 },
+  { key: 'streakPerWeek', label: '🔥 Streak pts/week', min: 0, max: 10, step: 1 },
+  { key: 'streakMax', label: '🔥 Streak cap', min: 0, max: 50, step: 1 },
+  { key: 'consistencyMin', label: '📊 Bursty multiplier', min: 0.5, max: 1, step: 0.05 },
+  { key: 'consistencyMax', label: '📊 Steady multiplier', min: 1, max: 1.5, step: 0.05 },
+  { key: 'churnPenaltyMax', label: '♻️ Max churn penalty', min: 0, max: 30, step: 1 },
+];
+
+const TITLE_FIELDS = [
+  { key: 'architectCommits', label: '🏛️ Architect: commits' },
+  { key: 'cleanerDeleteRatio', label: '🧹 Cleaner: deletion share', step: 0.05 },
+  { key: 'cleanerMinLines', label: '🧹 Cleaner: min lines' },
+  { key: 'tsunamiLinesPerCommit', label: '🌊 Tsunami: lines/commit' },
+  { key: 'rapidFireLinesPerCommit', label: '⚡ Rapid Fire: max lines/commit' },
+  { key: 'rapidFireMinCommits', label: '⚡ Rapid Fire: min commits' },
+  { key: 'novelWriterAdditions', label: '📚 Novel Writer: lines added' },
+  { key: 'veteranCommits', label: '🎖️ Veteran: commits' },
+  { key: 'warriorCommits', label: '⚔️ Warrior: commits' },
+  { key: 'defenderCommits', label: '🛡️ Defender: commits' },
+  { key: 'risingStarCommits', label: '🌱 Rising Star: commits' },
+];
+
+function openScoringEditor() {
+  scoringDraft = mergeScoringConfig(SCORING_CONFIG);
+  renderScoringEditor();
+  setView('scoring');
+}
+
+function renderScoringEditor() {
+  scoringPresetsEl.innerHTML = '';
+  for (const [id, preset] of Object.entries(SCORING_PRESETS)) {
+    const button = document.createElement('button');
+    button.className = 'squad-mode';
+    button.textContent = preset.label;
+    button.addEventListener('click', () => {
+      scoringDraft = mergeScoringConfig(DEFAULT_SCORING_CONFIG, preset.overrides);
+      renderScoringEditor();
+    });
+    scoringPresetsEl.appendChild(button);
+  }
+
+  scoringFieldsEl.innerHTML = '';
+  for (const field of SCORING_FIELDS) {
+    scoringFieldsEl.appendChild(createConfigField(field, 'range', scoringDraft[field.key], value => {
+      scoringDraft[field.key] = value;
+    }));
+  }
+
+  titleFieldsEl.innerHTML = '';
+  for (const field of TITLE_FIELDS) {
+    titleFieldsEl.appendChild(createConfigField(field, 'number', scoringDraft.titles[field.key], value => {
+      scoringDraft.titles[field.key] = value;
+    }));
+  }
+
+  renderScoringPreview();
+}
+
+/**
+ * Build a labelled slider or number input that writes into the draft config
+ */
+function createConfigField(field, type, value, onChange) {
+  const row = document.createElement('label');
+  row.className = 'config-field';
+
+  const label = document.createElement('span');
+  label.className = 'config-label';
+  label.textContent = field.label;
+
+  const input = document.createElement('input');
+  input.type = type;
+  input.className = type === 'range' ? 'config-slider' : 'range-input config-number';
+  input.min = field.min ?? 0;
+  if (field.max !== undefined) input.max = field.max;
+  input.step = field.step ?? 1;
+  input.value = value;
+
+  const output = document.createElement('span');
+  output.className = 'config-value';
+  output.textContent = type === 'range' ? value : '';
+
+  input.addEventListener('input', () => {
+    if (input.value === '' || Number.isNaN(input.valueAsNumber)) return;
+    onChange(input.valueAsNumber);
+    output.textContent = type === 'range' ? input.value : '';
+    renderScoringPreview();
+  });
+
+  row.append(label, input, output);
+  return row;
+}
+
+/**
+ * Re-rank the loaded contributors with the draft config, showing how each
+ * rank would move compared with the saved config
+ */
+function renderScoringPreview() {
+  if (!rawContributorData) {
+    scoringPreviewEl.innerHTML = '<div class="error-hint">Load a leaderboard to preview rankings</div>';
+    return;
+  }
+
+  const period = activePeriod();
+  const contributors = resolvedContributors();
+  const current = processContributors(contributors, period);
+  const preview = processContributors(contributors, period, scoringDraft);
+  applyComparison(preview, current);
+
+  scoringPreviewEl.innerHTML = preview.slice(0, 10).map(c => `
+    <div class="preview-row">
+      <span class="preview-rank">#${c.rank}</span>
+      <span class="preview-move">${renderRankChange(c)}</span>
+      <span class="preview-login">${escapeHtml(c.login)}</span>
+      <span class="preview-title" style="color: ${c.color}">${c.title}</span>
+      <span class="preview-score">${c.score}</span>
+    </div>
+  `).join('');
+}
+
+async function handleSaveScoring() {
+  Object.assign(SCORING_CONFIG, scoringDraft);
+  await chrome.storage.sync.set({ scoringConfig: scoringDraft });
+  scoringDraft = null;
+  renderAlgorithmConfig();
+  renderCurrentData();
+  setView('algorithm');
+}
+
+/**
+ * Fill the Algorithm view's numbers from the active scoring config
+ */
+function renderAlgorithmConfig() {
+  const values = {
+    ...SCORING_CONFIG,
+    streakCapWeeks: SCORING_CONFIG.streakPerWeek > 0
+      ? Math.ceil(SCORING_CONFIG.streakMax / SCORING_CONFIG.streakPerWeek)
+      : 0
+  };
+  const formats = {
+    percent: v => `${Math.round(v * 100)}%`,
+    points: v => `+${v} pts`,
+    multiplier: v => `${v.toFixed(2)}×`,
+    penalty: v => `-${v}`,
+    penaltyMax: v => `-${v} max`
+  };
+
+  document.querySelectorAll('[data-config]').forEach(el => {
+    const value = values[el.dataset.config];
+    const format = formats[el.dataset.format];
+    el.textContent = format ? format(value) : value;
+  });
+
+  const t = SCORING_CONFIG.titles;
+  const requirements = {
+    architect: `${t.architectCommits}+ commits`,
+    cleaner: `>${Math.round(t.cleanerDeleteRatio * 100)}% deletions`,
+    tsunami: `>${t.tsunamiLinesPerCommit} lines/commit`,
+    rapidFire: `<${t.rapidFireLinesPerCommit} lines/commit, ${t.rapidFireMinCommits}+ commits`,
+    novelWriter: `${formatNumber(t.novelWriterAdditions)}+ lines added`,
+    veteran: `${t.veteranCommits}+ commits`,
+    warrior: `${t.warriorCommits}+ commits`,
+    defender: `${t.defenderCommits}+ commits`,
+    risingStar: `${t.risingStarCommits}+ commits`
+  };
+  document.querySelectorAll('[data-title-req]').forEach(el => {
+    el.textContent = requirements[el.dataset.titleReq];
+  });
+}
+
+/**
+ * Render leaderboard
+ */
+function renderLeaderboard(contributors) {
+  leaderboardEl.innerHTML = '';
+  
+  if (!contributors?.length) {
+    showEmpty('No activity', `No contributions found for ${describePeriod()}`);
+    return;
+  }
+  
+  contributors.forEach((contributor, index) => {
+    const card = createContributorCard(contributor, index);
+    leaderboardEl.appendChild(card);
+  });
+}
+
+/**
+ * Create contributor card
+ */
+function createContributorCard(contributor, index) {
+  const card = document.createElement('div');
+  card.className = `contributor rank-${contributor.rank}`;
   card.style.animationDelay = `${index * 0.05}s`;
+  card.dataset.login = contributor.login;
+  card.tabIndex = 0;
+  card.setAttribute('role', 'button');
+  card.setAttribute('aria-label', `${contributor.name || contributor.login}, rank ${contributor.rank}: show details`);
   
   const medal = getMedalEmoji(contributor.rank);
   
   card.innerHTML = `
     ${medal ? `<span class="medal">${medal}</span>` : ''}
     <div class="contributor-header">
-      <div class="rank">#${contributor.rank}</div>
-      <img class="avatar" src="${contributor.avatar}" alt="${contributor.login}" loading="lazy">
+      <div class="rank">#${contributor.rank}${renderRankChange(contributor)}</div>
+      ${contributor.avatar
+        ? `<img class="avatar" src="${contributor.avatar}" alt="${contributor.login}" loading="lazy">`
+        : '<div class="avatar avatar-placeholder">✉</div>'}
+      <div class="contributor-info">
+        ${contributor.unlinked
+          ? `<span class="username unlinked" title="${escapeHtml(contributor.login)} (not linked to a GitHub account)">${escapeHtml(contributor.name || contributor.login)}</span>`
+          : `<a href="${contributor.profileUrl}" target="_blank" class="username"${contributor.aliases.length ? ` title="Also: ${escapeHtml(contributor.aliases.join(', '))}"` : ''}>${contributor.login}</a>`}
+        <div class="title-badge" style="color: ${contributor.color}">${contributor.title}</div>
+      </div>
+      <div class="score-display">
+        <div class="score">${contributor.score}</div>
+        <div class="score-label">POWER</div>
+        ${contributor.scoreChange !== undefined ? `
+        <div class="score-delta ${contributor.scoreChange >= 0 ? 'up' : 'down'}">${contributor.scoreChange >= 0 ? '+' : ''}${contributor.scoreChange}</div>` : ''}
+      </div>
+    </div>
+    <div class="stats-row">
+      <div class="stat stat-commits">
+        <span class="stat-icon">⚡</span>
+        <span class="stat-value">${formatNumber(contributor.commits)}</span>
+      </div>
+      <div class="stat stat-add">
+        <span class="stat-icon">+</span>
+        <span class="stat-value">${formatNumber(contributor.additions)}</span>
+      </div>
+      <div class="stat stat-del">
+        <span class="stat-icon">−</span>
+        <span class="stat-value">${formatNumber(contributor.deletions)}</span>
+      </div>
+      ${contributor.streakWeeks > 0 ? `
+      <div class="stat stat-streak">
+        <span class="stat-icon">🔥</span>
+        <span class="stat-value">${contributor.streakWeeks}</span>
+      </div>` : ''}
+      ${contributor.pullRequests > 0 ? `
+      <div class="stat stat-prs" title="Pull requests opened / merged">
+        <span class="stat-icon">⇡</span>
+        <span class="stat-value">${formatNumber(contributor.pullRequests)}/${formatNumber(contributor.mergedPullRequests)}</span>
+      </div>` : ''}
+      ${contributor.reviews > 0 ? `
+      <div class="stat stat-reviews" title="Reviews submitted">
+        <span class="stat-icon">👀</span>
+        <span class="stat-value">${formatNumber(contributor.reviews)}</span>
+      </div>` : ''}
+      ${contributor.reviewComments > 0 ? `
+      <div class="stat stat-review-comments" title="Review comments">
+        <span class="stat-icon">💬</span>
+        <span class="stat-value">${formatNumber(contributor.reviewComments)}</span>
+      </div>` : ''}
+      ${contributor.excludedLines > 0 ? `
+      <div class="stat stat-excluded" title="Lines in lockfiles, generated or vendored paths, not scored">
+        <span class="stat-icon">🚫</span>
+        <span class="stat-value">${formatNumber(contributor.excludedLines)}</span>
+      </div>` : ''}
+    </div>
+    ${renderBadgeShelf(contributor.login)}
+    <details class="score-breakdown">
+      <summary>WHY ${contributor.score}?</summary>
+      ${renderScoreWaterfall(contributor.breakdown)}
+    </details>
+    ${contributor.repoBreakdown?.length ? `
+    <div class="repo-breakdown">
+      ${contributor.repoBreakdown.map(r => `
+      <span class="repo-chip" title="${escapeHtml(r.repo)}: ${r.commits} commits, +${r.additions} / −${r.deletions}">
+        ${escapeHtml(r.repo.split('/')[1])} <span class="repo-chip-commits">⚡${formatNumber(r.commits)}</span>
+      </span>`).join('')}
+    </div>` : ''}
+  `;
+
+  // Profile links and the score breakdown keep working; anywhere else on the card opens the detail view
+  card.addEventListener('click', (e) => {
+    if (!e.target.closest('a, .score-breakdown')) openContributorDetail(contributor.login);
+  });
+  card.addEventListener('keydown', (e) => {
+    if (e.target === card && (e.key === 'Enter' || e.key === ' ')) {
+      e.preventDefault();
+      openContributorDetail(contributor.login);
+    }
+  });
+  
+  return card;
+}
+
+// --- Rank history ---
+
+const RANK_HISTORY_PREFIX = 'rankHistory:';
+const RANK_HISTORY_INDEX_KEY = 'rankHistoryIndex';
+const RANK_HISTORY_MAX_ARENAS = 30;
+const RANK_HISTORY_DAILY_DAYS = 30; // One snapshot per day for a month...
+const RANK_HISTORY_MAX_DAYS = 365; // ...then one per week for a year
+const RANK_SNAPSHOT_SIZE = 100;
+const HISTORY_COLORS = ['#00ffff', '#ff00ff', '#ffd700', '#00ff88', '#ff8844', '#8888ff'];
+const HISTORY_DEFAULT_LOGINS = 5;
+
+function arenaStorageKey(arena) {
+  const key = arena.type === 'repo'
+    ? `${arena.owner}/${arena.repo}`.toLowerCase() + (arena.ref ? `@${arena.ref}` : '')
+    : `arena:${arena.name}`;
+  return arena.host ? `${arena.host}/${key}` : key;
+}
+
+/**
+ * Stable storage key for a tab period or custom range
+ */
+function periodKey(period) {
+  if (typeof period === 'string') return period;
+  if (period.rollingDays) return `rolling:${period.rollingDays}`;
+  if (period.quarter) return `q:${period.quarter.year}-${period.quarter.q + 1}`;
+  return `range:${period.start}-${period.end}`;
+}
+
+/**
+ * Load the current arena's snapshots, keyed by period, into `rankHistory`
+ */
+async function loadRankHistory() {
+  const key = RANK_HISTORY_PREFIX + arenaStorageKey(currentArena);
+  if (rankHistory.key === key) return;
+
+  const { [key]: periods = {} } = await chrome.storage.local.get([key]);
+  // The arena may have changed while storage was read
+  if (key !== RANK_HISTORY_PREFIX + arenaStorageKey(currentArena)) return;
+  rankHistory = { key, periods };
+}
+
+/**
+ * Persist the current arena's snapshots, dropping the least recently
+ * used arenas beyond RANK_HISTORY_MAX_ARENAS
+ */
+async function saveRankHistory() {
+  const { key, periods } = rankHistory;
+  const { [RANK_HISTORY_INDEX_KEY]: index = {} } = await chrome.storage.local.get([RANK_HISTORY_INDEX_KEY]);
+
+  index[key] = Date.now();
+  const evicted = Object.keys(index)
+    .sort((a, b) => index[b] - index[a])
+    .slice(RANK_HISTORY_MAX_ARENAS);
+  for (const oldKey of evicted) {
+    delete index[oldKey];
+  }
+  if (evicted.length > 0) {
+    await chrome.storage.local.remove(evicted);
+  }
+  await chrome.storage.local.set({ [key]: periods, [RANK_HISTORY_INDEX_KEY]: index });
+}
+
+/**
+ * Keep every (one-per-day) snapshot from the last RANK_HISTORY_DAILY_DAYS,
+ * the latest per week before that, and nothing older than RANK_HISTORY_MAX_DAYS
+ */
+function compactSnapshots(snapshots, now = Date.now()) {
+  const kept = [];
+  const seenWeeks = new Set();
+  for (const snapshot of [...snapshots].sort((a, b) => b.t - a.t)) {
+    const age = now - snapshot.t;
+    if (age > RANK_HISTORY_MAX_DAYS * DAY_MS) break;
+    if (age > RANK_HISTORY_DAILY_DAYS * DAY_MS) {
+      const week = Math.floor(snapshot.t / WEEK_MS);
+      if (seenWeeks.has(week)) continue;
+      seenWeeks.add(week);
+    }
+    kept.push(snapshot);
+  }
+  return kept.reverse();
+}
+
+/**
+ * Save today's standings for a period, replacing any earlier snapshot from today.
+ * Called after a fetch from GitHub succeeds (not for cache hits), with
+ * standings scored by the saved config.
+ */
+async function recordSnapshot(period, standings) {
+  if (!rankHistory.key || standings.length === 0) return;
+
+  const now = Date.now();
+  const key = periodKey(period);
+  const snapshots = rankHistory.periods[key] || [];
+  const latest = snapshots[snapshots.length - 1];
+  if (latest && new Date(latest.t).toDateString() === new Date(now).toDateString()) {
+    snapshots.pop();
+  }
+  snapshots.push({
+    t: now,
+    r: standings.slice(0, RANK_SNAPSHOT_SIZE).map(c => [c.login, c.rank, c.score])
+  });
+  rankHistory.periods[key] = compactSnapshots(snapshots, now);
+  try {
+    await saveRankHistory();
+  } catch (error) {
+    console.warn('Could not save rank history:', error);
+  }
+}
+
+/**
+ * The most recent snapshot for a period from before today
+ */
+function previousSnapshot(period) {
+  const today = new Date().toDateString();
+  const snapshots = rankHistory.periods[periodKey(period)] || [];
+  return [...snapshots].reverse().find(s => new Date(s.t).toDateString() !== today) || null;
+}
+
+function snapshotStandings(snapshot) {
+  return snapshot.r.map(([login, rank, score]) => ({ login, rank, score }));
+}
+
+/**
+ * Chart rank over time for the chosen contributors in the active period
+ */
+function renderRankHistory() {
+  const snapshots = rankHistory.periods[periodKey(activePeriod())] || [];
+  if (snapshots.length === 0) {
+    historySummaryEl.textContent = `No snapshots for ${describePeriod()} yet. One is saved each day the leaderboard loads.`;
+    historyChartEl.innerHTML = '';
+    historyPickerEl.innerHTML = '';
+    return;
+  }
+
+  const latest = snapshots[snapshots.length - 1];
+  if (!historyLogins) {
+    historyLogins = latest.r.slice(0, HISTORY_DEFAULT_LOGINS).map(([login]) => login);
+  }
+
+  historySummaryEl.textContent = `${describeReign(snapshots)} ${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'} for ${describePeriod()}.`;
+  historyChartEl.innerHTML = renderRankChart(snapshots, historyLogins);
+  renderHistoryPicker(snapshots);
+}
+
+/**
+ * Who holds #1 in the latest snapshot, and since when
+ */
+function describeReign(snapshots) {
+  const leader = snapshots[snapshots.length - 1].r.find(([, rank]) => rank === 1)?.[0];
+  if (!leader) return '';
+
+  let since = snapshots[snapshots.length - 1].t;
+  for (let i = snapshots.length - 2; i >= 0; i--) {
+    if (snapshots[i].r.find(([, rank]) => rank === 1)?.[0] !== leader) break;
+    since = snapshots[i].t;
+  }
+  const days = Math.round((Date.now() - since) / DAY_MS);
+  return days >= 1
+    ? `👑 ${leader} has held #1 since ${formatDate(since)} (${days} day${days === 1 ? '' : 's'}).`
+    : `👑 ${leader} is #1.`;
+}
+
+/**
+ * SVG line chart of rank (1 at the top) against snapshot time. A line breaks
+ * where the contributor dropped out of the saved standings.
+ */
+function renderRankChart(snapshots, logins) {
+  const width = 300;
+  const height = 140;
+  const pad = 8;
+  const first = snapshots[0].t;
+  const span = Math.max(1, snapshots[snapshots.length - 1].t - first);
+  const chosen = logins.map(login => login.toLowerCase());
+
+  const ranksOf = login => snapshots.map(s => {
+    const entry = s.r.find(([l]) => l.toLowerCase() === login);
+    return entry ? { t: s.t, rank: entry[1], score: entry[2] } : null;
+  });
+  const series = chosen.map(ranksOf);
+  const maxRank = Math.max(5, ...series.flat().filter(Boolean).map(p => p.rank));
+
+  const x = t => pad + ((t - first) / span) * (width - 2 * pad);
+  const y = rank => pad + ((rank - 1) / (maxRank - 1)) * (height - 2 * pad);
+
+  const lines = series.map((points, i) => {
+    const color = HISTORY_COLORS[i % HISTORY_COLORS.length];
+    const segments = [[]];
+    for (const point of points) {
+      if (point) segments[segments.length - 1].push(point);
+      else if (segments[segments.length - 1].length) segments.push([]);
+    }
+    const paths = segments
+      .filter(segment => segment.length > 1)
+      .map(segment => `<polyline class="rank-line" stroke="${color}" points="${segment.map(p => `${x(p.t)},${y(p.rank)}`).join(' ')}"></polyline>`);
+    const dots = points.filter(Boolean).map(p =>
+      `<circle cx="${x(p.t)}" cy="${y(p.rank)}" r="2.5" fill="${color}"><title>${escapeHtml(logins[i])}: #${p.rank} (${p.score}) on ${formatDate(p.t)}</title></circle>`
+    );
+    return paths.join('') + dots.join('');
+  }).join('');
+
+  return `
+    <svg class="rank-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Rank over time">
+      <line class="rank-grid" x1="${pad}" x2="${width - pad}" y1="${y(1)}" y2="${y(1)}"></line>
+      ${lines}
+    </svg>
+    <div class="chart-axis">
+      <span>${formatDate(first)}</span>
+      <span>#1 top · #${maxRank} bottom</span>
+      <span>${formatDate(snapshots[snapshots.length - 1].t)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Checkboxes for everyone in the saved standings, latest ranking first
+ */
+function renderHistoryPicker(snapshots) {
+  const seen = new Map();
+  for (const snapshot of [...snapshots].reverse()) {
+    for (const [login] of snapshot.r) {
+      if (!seen.has(login.toLowerCase())) seen.set(login.toLowerCase(), login);
+    }
+  }
+
+  historyPickerEl.innerHTML = '';
+  for (const login of seen.values()) {
+    const index = historyLogins.findIndex(l => l.toLowerCase() === login.toLowerCase());
+    const label = document.createElement('label');
+    label.className = 'history-option';
+    label.innerHTML = `
+      <input type="checkbox"${index >= 0 ? ' checked' : ''}>
+      <span style="${index >= 0 ? `color: ${HISTORY_COLORS[index % HISTORY_COLORS.length]}` : ''}">${escapeHtml(login)}</span>
+    `;
+    label.querySelector('input').addEventListener('change', (e) => {
+      historyLogins = e.target.checked
+        ? [...historyLogins, login]
+        : historyLogins.filter(l => l.toLowerCase() !== login.toLowerCase());
+      renderRankHistory();
+    });
+    historyPickerEl.appendChild(label);
+  }
+}
+
+// --- Achievements ---
+
+const ACHIEVEMENTS_PREFIX = 'achievements:';
+const CELEBRATE_RECENT_MS = 14 * DAY_MS;
+const TOAST_MS = 4000;
+
+/**
+ * Badge catalog. `reached` is checked against running totals after each
+ * week of a contributor's history, oldest first; the first week it holds is
+ * the unlock date.
+ */
+const ACHIEVEMENTS = [
+  { id: 'firstBlood', icon: '🩸', name: 'First Blood', description: 'First commit', reached: s => s.commits >= 1 },
+  { id: 'century', icon: '💯', name: 'Centurion', description: '100 commits', reached: s => s.commits >= 100 },
+  { id: 'thousand', icon: '🏆', name: 'Thousand Club', description: '1,000 commits', reached: s => s.commits >= 1000 },
+  { id: 'onFire', icon: '🔥', name: 'On Fire', description: '10-week commit streak', reached: s => s.longestStreak >= 10 },
+  { id: 'firstLight', icon: '🎆', name: 'First Light', description: 'First commit of a year', reached: s => s.newYearCommit },
+  { id: 'yearRounder', icon: '📅', name: 'Year-Rounder', description: 'Commits in all 12 months of a year', reached: s => s.fullYear },
+  { id: 'weekendWarrior', icon: '🏖️', name: 'Weekend Warrior', description: '10 weekend commits', reached: s => s.weekendCommits >= 10 },
+  { id: 'janitor', icon: '🧹', name: 'Janitor', description: 'Deleted 10K lines', reached: s => s.deletions >= 10000 },
+  { id: 'tidalWave', icon: '🌊', name: 'Tidal Wave', description: '5K lines changed in one week', reached: s => s.bestWeekLines >= 5000 },
+  { id: 'shipper', icon: '🚀', name: 'Shipper', description: '25 merged PRs', reached: s => s.mergedPullRequests >= 25 },
+  { id: 'eagleEye', icon: '👀', name: 'Eagle Eye', description: '50 code reviews', reached: s => s.reviews >= 50 }
+];
+
+/**
+ * Unlock date (ms) of every badge a week history satisfies, keyed by badge id
+ */
+function evaluateAchievements(weeks) {
+  const state = {
+    commits: 0, deletions: 0, mergedPullRequests: 0, reviews: 0, weekendCommits: 0,
+    bestWeekLines: 0, longestStreak: 0, newYearCommit: false, fullYear: false
+  };
+  const monthsByYear = new Map();
+  const earned = {};
+  let streak = 0;
+  let lastActive = null;
+
+  for (const week of [...weeks].sort((a, b) => a.w - b.w)) {
+    state.commits += week.c;
+    state.deletions += week.d;
+    state.mergedPullRequests += week.m || 0;
+    state.reviews += week.r || 0;
+    state.weekendCommits += week.we || 0;
+    state.bestWeekLines = Math.max(state.bestWeekLines, week.a + week.d);
+
+    if (week.c > 0) {
+      // Same one-day tolerance as calculateStreak
+      streak = lastActive !== null && week.w - lastActive <= WEEK_SECONDS + 86400 ? streak + 1 : 1;
+      lastActive = week.w;
+      state.longestStreak = Math.max(state.longestStreak, streak);
+
+      // fy marks the week holding the repo's first commit of a year
+      if (week.fy) state.newYearCommit = true;
+
+      const start = new Date(week.w * 1000);
+      const year = start.getUTCFullYear();
+
+      if (!monthsByYear.has(year)) monthsByYear.set(year, new Set());
+      monthsByYear.get(year).add(start.getUTCMonth());
+      if (monthsByYear.get(year).size === 12) state.fullYear = true;
+    }
+
+    for (const achievement of ACHIEVEMENTS) {
+      if (!earned[achievement.id] && achievement.reached(state)) {
+        earned[achievement.id] = week.w * 1000;
+      }
+    }
+  }
+  return earned;
+}
+
+async function loadAchievements() {
+  const key = ACHIEVEMENTS_PREFIX + arenaStorageKey(currentArena);
+  if (achievementStore.key === key) return;
+
+  const { [key]: unlocked = {} } = await chrome.storage.local.get([key]);
+  if (key !== ACHIEVEMENTS_PREFIX + arenaStorageKey(currentArena)) return;
+  achievementStore = { key, unlocked };
+}
+
+/**
+ * Record newly earned badges. Saved badges are never removed, so they stay
+ * earned when their weeks fall out of the data. Returns the signed-in user's
+ * new badges worth celebrating: recent ones, or any after their first evaluation.
+ */
+function updateAchievements(contributors) {
+  if (!achievementStore.key) return [];
+
+  const fresh = [];
+  let changed = false;
+  for (const contributor of contributors) {
+    const key = contributor.login.toLowerCase();
+    const seenBefore = key in achievementStore.unlocked;
+    const saved = achievementStore.unlocked[key] || {};
+    const isViewer = !!viewerLogin && [contributor.login, ...(contributor.aliases || [])]
+      .some(login => login.toLowerCase() === viewerLogin.toLowerCase());
+
+    for (const [id, unlockedAt] of Object.entries(evaluateAchievements(contributor.weeks))) {
+      if (id in saved) continue;
+      saved[id] = unlockedAt;
+      changed = true;
+      if (isViewer && (seenBefore || Date.now() - unlockedAt < CELEBRATE_RECENT_MS)) {
+        fresh.push(ACHIEVEMENTS.find(a => a.id === id));
+      }
+    }
+    if (!seenBefore) {
+      achievementStore.unlocked[key] = saved;
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    chrome.storage.local.set({ [achievementStore.key]: achievementStore.unlocked });
+  }
+  return fresh;
+}
+
+/**
+ * Earned badges for a login, oldest first
+ */
+function getBadges(login) {
+  const saved = achievementStore.unlocked[login.toLowerCase()] || {};
+  return ACHIEVEMENTS
+    .filter(a => a.id in saved)
+    .map(a => ({ ...a, unlockedAt: saved[a.id] }))
+    .sort((a, b) => a.unlockedAt - b.unlockedAt);
+}
+
+function renderBadgeShelf(login) {
+  const badges = getBadges(login);
+  if (badges.length === 0) return '';
+  return `
+    <div class="badge-shelf">
+      ${badges.map(b => `<span class="badge" title="${b.name}: ${b.description} (${formatDate(b.unlockedAt)})">${b.icon}</span>`).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Queue "achievement unlocked" toasts, shown one at a time
+ */
+function celebrate(achievements) {
+  if (achievements.length === 0) return;
+  const idle = pendingCelebrations.length === 0;
+  pendingCelebrations.push(...achievements);
+  if (idle) showNextCelebration();
+}
+
+function showNextCelebration() {
+  const achievement = pendingCelebrations[0];
+  if (!achievement) {
+    achievementToast.style.display = 'none';
+    return;
+  }
+
+  achievementToast.innerHTML = `
+    <span class="toast-icon">${achievement.icon}</span>
+    <div>
+      <div class="toast-label">ACHIEVEMENT UNLOCKED</div>
+      <div class="toast-name">${achievement.name}</div>
+      <div class="toast-desc">${achievement.description}</div>
+    </div>
+  `;
+  achievementToast.style.display = 'flex';
+  // Restart the pop-in animation for each badge
+  achievementToast.classList.remove('pop');
+  void achievementToast.offsetWidth;
+  achievementToast.classList.add('pop');
+
+  clearTimeout(celebrationTimer);
+  celebrationTimer = setTimeout(dismissCelebration, TOAST_MS);
+}
+
+function dismissCelebration() {
+  pendingCelebrations.shift();
+  showNextCelebration();
+}
+
+// --- Export ---
+
+const POSTER_ROWS = 10;
+
+/**
+ * What every export records: the arena, the period and when it was generated
+ */
+function exportContext() {
+  const period = activePeriod();
+  const { start, end } = getPeriodRange(period);
+  return {
+    arena: arenaLabel(currentArena) + (currentArena.ref ? `@${currentArena.ref}` : ''),
+    period: describePeriod(),
+    start: period === 'all' ? null : new Date(start).toISOString(),
+    end: new Date(Math.min(end, Date.now())).toISOString(),
+    generatedAt: new Date().toISOString()
+  };
+}
+
+function exportRows() {
+  return toExportRows(currentStandings);
+}
+
+function toMarkdown(context, rows) {
+  const cell = value => String(value ?? '').replace(/\|/g, '\\|');
+  const header = `| ${EXPORT_COLUMNS.map(c => c.label).join(' | ')} |`;
+  const divider = `| ${EXPORT_COLUMNS.map(c => (typeof rows[0]?.[c.key] === 'number' ? '---:' : '---')).join(' | ')} |`;
+  const lines = rows.map(row => `| ${EXPORT_COLUMNS.map(({ key }) => cell(row[key])).join(' | ')} |`);
+  return [
+    `### ⚔️ Git Gladiators: ${context.arena}`,
+    '',
+    `_${context.period} · generated ${new Date(context.generatedAt).toLocaleString()}_`,
+    '',
+    header,
+    divider,
+    ...lines
+  ].join('\n');
+}
+
+/**
+ * Draw the top of the leaderboard onto a canvas in the arcade style
+ */
+async function renderPoster(context, rows) {
+  await document.fonts.ready;
+  const width = 600;
+  const rowHeight = 36;
+  const shown = rows.slice(0, POSTER_ROWS);
+  const height = 150 + shown.length * rowHeight + 50;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width * 2;
+  canvas.height = height * 2;
+  const ctx = canvas.getContext('2d');
+  ctx.scale(2, 2);
+
+  ctx.fillStyle = '#0a0a0f';
+  ctx.fillRect(0, 0, width, height);
+  ctx.strokeStyle = '#4a4a6a';
+  ctx.lineWidth = 4;
+  ctx.strokeRect(8, 8, width - 16, height - 16);
+
+  ctx.textAlign = 'center';
+  ctx.fillStyle = '#ffd700';
+  ctx.shadowColor = '#ffd700';
+  ctx.shadowBlur = 12;
+  ctx.font = '22px "Press Start 2P"';
+  ctx.fillText('GIT GLADIATORS', width / 2, 56);
+  ctx.shadowBlur = 0;
+
+  ctx.fillStyle = '#00ffff';
+  ctx.font = '24px VT323';
+  ctx.fillText(context.arena, width / 2, 90);
+  ctx.fillStyle = '#888899';
+  ctx.font = '18px VT323';
+  ctx.fillText(context.period.toUpperCase(), width / 2, 114);
+
+  const medalColors = ['#ffd700', '#c0c0c0', '#cd7f32'];
+  shown.forEach((row, i) => {
+    const y = 150 + i * rowHeight;
+    ctx.fillStyle = i % 2 ? '#12121a' : '#1a1a25';
+    ctx.fillRect(24, y - 24, width - 48, rowHeight - 4);
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = medalColors[i] || '#ffffff';
+    ctx.font = '12px "Press Start 2P"';
+    ctx.fillText(`#${row.rank}`, 36, y);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '22px VT323';
+    ctx.fillText(row.login || row.email, 96, y);
+    ctx.fillStyle = '#888899';
+    ctx.font = '18px VT323';
+    ctx.fillText(row.title, 300, y);
+
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#00ff88';
+    ctx.font = '12px "Press Start 2P"';
+    ctx.fillText(String(row.score), width - 36, y);
+  });
+
+  ctx.textAlign = 'center';
+  ctx.fillStyle = '#888899';
+  ctx.font = '16px VT323';
+  ctx.fillText(`Generated ${new Date(context.generatedAt).toLocaleString()}`, width / 2, height - 24);
+
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Copy Markdown to the clipboard, or download it when the clipboard is
+ * unavailable. Returns whether it was copied.
+ */
+async function copyMarkdown(markdown, filename) {
+  try {
+    await navigator.clipboard.writeText(markdown);
+    return true;
+  } catch (e) {
+    downloadBlob(new Blob([markdown], { type: 'text/markdown' }), filename);
+    return false;
+  }
+}
+
+function exportFilename(context, extension) {
+  const slug = `${context.arena}-${context.period}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `gladiators-${slug}-${context.generatedAt.slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Export the current period's standings. Markdown goes to the clipboard,
+ * everything else is downloaded.
+ */
+async function handleExport(format) {
+  toggleExportMenu(false);
+  if (currentStandings.length === 0) {
+    showStatus('Nothing to export yet', { keepLeaderboard: true });
+    return;
+  }
+
+  const context = exportContext();
+  const rows = exportRows();
+
+  switch (format) {
+    case 'csv':
+      downloadBlob(new Blob([toCsv(context, rows)], { type: 'text/csv' }), exportFilename(context, 'csv'));
+      break;
+    case 'json': {
+      const json = JSON.stringify({ ...context, contributors: rows }, null, 2);
+      downloadBlob(new Blob([json], { type: 'application/json' }), exportFilename(context, 'json'));
+      break;
+    }
+    case 'markdown':
+      if (await copyMarkdown(toMarkdown(context, rows), exportFilename(context, 'md'))) {
+        showStatus('📋 Markdown table copied', { keepLeaderboard: true });
+        setTimeout(hideStatus, 2000);
+      }
+      break;
+    case 'png': {
+      // toBlob hands back null when the canvas can't be encoded
+      const blob = await renderPoster(context, rows);
+      if (!blob) {
+        showStatus('⚠️ Could not render the poster', { keepLeaderboard: true });
+        break;
+      }
+      downloadBlob(blob, exportFilename(context, 'png'));
+      break;
+    }
+  }
+}
+
+function toggleExportMenu(open = exportMenu.style.display === 'none') {
+  exportMenu.style.display = open ? 'flex' : 'none';
+  exportBtn.setAttribute('aria-expanded', String(open));
+  if (open) exportMenu.querySelector('button').focus();
+}
+
+// --- Duel ---
+
+/**
+ * Default pairing: you against the rival just above you (or just below, at
+ * #1), otherwise the top two
+ */
+function defaultDuelLogins() {
+  const logins = currentStandings.map(c => c.login);
+  const mine = logins.findIndex(login => login.toLowerCase() === viewerLogin?.toLowerCase());
+  if (mine >= 0 && logins.length > 1) return [logins[mine], logins[mine === 0 ? 1 : mine - 1]];
+  return [logins[0] || null, logins[1] || null];
+}
+
+function openDuel(logins) {
+  duelLogins = logins;
+  setView('duel');
+  renderDuel();
+}
+
+/**
+ * A shared duel link opens the popup page as
+ * popup.html#arena=<arena JSON>&period=<tab or range JSON>&duel=<login>&duel=<login>
+ */
+function readDuelLink() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  const logins = params.getAll('duel');
+  if (!params.has('arena') || logins.length !== 2) return null;
+
+  try {
+    const arena = JSON.parse(params.get('arena'));
+    const valid = arena.type === 'repo' ? arena.owner && arena.repo : Array.isArray(arena.members);
+    if (!valid) return null;
+    const period = params.get('period') || 'week';
+    return { arena, period: PERIOD_NAMES[period] ? period : JSON.parse(period), logins };
+  } catch {
+    return null;
+  }
+}
+
+function openDuelLink({ period, logins }) {
+  if (typeof period === 'object') {
+    setCustomRange(period);
+  } else {
+    setTimePeriod(period);
+  }
+  openDuel(logins);
+}
+
+function duelLink() {
+  const { notify, ...arena } = currentArena;
+  const params = new URLSearchParams({
+    arena: JSON.stringify(arena),
+    period: currentPeriod === 'custom' ? JSON.stringify(customRange) : currentPeriod
+  });
+  duelLogins.forEach(login => params.append('duel', login));
+  return `${chrome.runtime.getURL('popup.html')}#${params}`;
+}
+
+/**
+ * A ranked contributor's standing for this period alongside their raw weeks
+ */
+function duelFighter(login) {
+  const key = login?.toLowerCase();
+  const standing = currentStandings.find(c => c.login.toLowerCase() === key);
+  const contributor = resolvedContributors().find(c => c.login.toLowerCase() === key);
+  if (!standing || !contributor) return null;
+  return { standing, contributor, streaks: getStreakStats(contributor.weeks) };
+}
+
+/**
+ * Fight every category: each calculateScore factor, then the streak records.
+ * Higher wins everywhere; churn is negative, so the lighter penalty wins.
+ * The bout goes to the higher POWER score.
+ */
+function getDuelResult(fighters) {
+  const [left, right] = fighters.map(f => f.standing.breakdown);
+  const categories = left.parts.map((part, i) => ({
+    label: part.label,
+    values: [part.points, right.parts[i].points],
+    shown: [part, right.parts[i]].map(p => `${formatNumber(p.count)} · ${formatPoints(p.points)}`)
+  }));
+  categories.push(
+    {
+      label: '📊 Consistency',
+      values: [left.consistencyMultiplier, right.consistencyMultiplier],
+      shown: [left, right].map(b => `×${b.consistencyMultiplier.toFixed(2)}`)
+    },
+    {
+      label: '🔥 Streak bonus',
+      values: [left.streakBonus, right.streakBonus],
+      shown: [left, right].map(b => formatPoints(b.streakBonus))
+    },
+    {
+      label: '♻️ Churn',
+      values: [left.churnPenalty, right.churnPenalty],
+      shown: [left, right].map(b => formatPoints(b.churnPenalty))
+    },
+    {
+      label: '🔥 Current streak',
+      values: fighters.map(f => f.streaks.current),
+      shown: fighters.map(f => `${f.streaks.current} wk`)
+    },
+    {
+      label: '🏔️ Longest streak',
+      values: fighters.map(f => f.streaks.longest),
+      shown: fighters.map(f => `${f.streaks.longest} wk`)
+    }
+  );
+
+  const winnerOf = ([a, b]) => (Math.abs(a - b) < 1e-9 ? null : a > b ? 0 : 1);
+  for (const category of categories) {
+    category.winner = winnerOf(category.values);
+  }
+  const wins = [0, 1].map(side => categories.filter(c => c.winner === side).length);
+  const winner = winnerOf(fighters.map(f => f.standing.score));
+  return { categories, wins, winner };
+}
+
+function describeDuelVerdict(fighters, duel) {
+  if (duel.winner === null) {
+    return `🤝 Draw at ${fighters[0].standing.score} POWER apiece`;
+  }
+  const champion = fighters[duel.winner].standing;
+  const challenger = fighters[1 - duel.winner].standing;
+  return `🏆 ${champion.login} wins the bout ${champion.score} to ${challenger.score}, ` +
+    `taking ${duel.wins[duel.winner]} of ${duel.categories.length} categories`;
+}
+
+function renderDuelPicker() {
+  const options = currentStandings.map(c => `<option value="${escapeHtml(c.login)}">#${c.rank} ${escapeHtml(c.login)}</option>`).join('');
+  [duelLeftSelect, duelRightSelect].forEach((select, side) => {
+    select.innerHTML = options;
+    select.value = duelLogins[side] || '';
+  });
+}
+
+/**
+ * Both fighters' weekly commits or lines changed as two lines on one chart
+ */
+function renderDuelChart(fighters, range, metric) {
+  const weeks = fighters.flatMap(f => f.contributor.weeks).sort((a, b) => a.w - b.w);
+  const axis = chartWeeks(weeks, range);
+  const series = fighters.map(f => {
+    const byWeek = new Map(f.contributor.weeks.map(w => [w.w, w]));
+    return axis.map(w => {
+      const week = byWeek.get(w);
+      return metric === 'commits' ? week?.c || 0 : (week?.a || 0) + (week?.d || 0);
+    });
+  });
+
+  const max = Math.max(1, ...series.flat());
+  const width = (axis.length - 1) * 10;
+  const height = 60;
+  const lines = series.map((values, side) => {
+    const points = values.map((value, i) => `${i * 10},${height - (value / max) * height}`).join(' ');
+    return `<polyline class="duel-line ${side ? 'right' : 'left'}" points="${points}" vector-effect="non-scaling-stroke"></polyline>`;
+  }).join('');
+
+  return `
+    <svg class="activity-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img"
+      aria-label="Weekly ${metric === 'commits' ? 'commits' : 'lines changed'}, ${formatWeek(axis[0])} to ${formatWeek(axis[axis.length - 1])}">
+      ${lines}
+    </svg>
+    <div class="chart-axis">
+      <span>${formatWeek(axis[0])}</span>
+      <span>max ${formatNumber(max)}</span>
+      <span>${formatWeek(axis[axis.length - 1])}</span>
+    </div>
+  `;
+}
+
+function renderDuelSide(fighter, side) {
+  const { standing } = fighter;
+  return `
+    <div class="duel-side ${side}">
+      ${standing.avatar
+        ? `<img class="avatar" src="${standing.avatar}" alt="">`
+        : '<div class="avatar avatar-placeholder">✉</div>'}
+      <div class="duel-name">${escapeHtml(standing.login)}</div>
+      <div class="title-badge" style="color: ${standing.color}">${standing.title}</div>
+      <div class="score">${standing.score}</div>
+      <div class="score-label">#${standing.rank}</div>
+    </div>
+  `;
+}
+
+function renderDuel() {
+  if (!duelLogins[0] || !duelLogins[1]) duelLogins = defaultDuelLogins();
+  renderDuelPicker();
+
+  if (currentStandings.length < 2) {
+    duelContent.innerHTML = `<p class="algo-desc">${rawContributorData ? 'A duel needs two ranked contributors in this period.' : 'Summoning warriors...'}</p>`;
+    return;
+  }
+  if (duelLogins[0].toLowerCase() === duelLogins[1].toLowerCase()) {
+    duelContent.innerHTML = '<p class="algo-desc">Pick two different contributors.</p>';
+    return;
+  }
+
+  const fighters = duelLogins.map(duelFighter);
+  const idle = duelLogins.filter((_, side) => !fighters[side]);
+  if (idle.length > 0) {
+    duelContent.innerHTML = `<p class="algo-desc">${escapeHtml(idle.join(' and '))} ${idle.length > 1 ? 'have' : 'has'} no activity ${escapeHtml(describePeriod())}.</p>`;
+    return;
+  }
+
+  const duel = getDuelResult(fighters);
+  const range = getPeriodRange(activePeriod());
+  duelContent.innerHTML = `
+    <section class="algo-section duel-header">
+      ${renderDuelSide(fighters[0], 'left')}
+      <span class="duel-vs">VS</span>
+      ${renderDuelSide(fighters[1], 'right')}
+    </section>
+
+    <section class="algo-section">
+      <p class="duel-verdict">${escapeHtml(describeDuelVerdict(fighters, duel))}</p>
+    </section>
+
+    <section class="algo-section">
+      <h2 class="algo-title">⚖️ TALE OF THE TAPE</h2>
+      ${duel.categories.map(category => `
+      <div class="duel-row">
+        <span class="duel-value ${category.winner === 0 ? 'win' : ''}">${category.shown[0]}</span>
+        <span class="duel-label">${category.label}</span>
+        <span class="duel-value ${category.winner === 1 ? 'win' : ''}">${category.shown[1]}</span>
+      </div>`).join('')}
+    </section>
+
+    <section class="algo-section">
+      <h2 class="algo-title">📈 WEEKLY COMMITS</h2>
+      ${renderDuelChart(fighters, range, 'commits')}
+    </section>
+
+    <section class="algo-section">
+      <h2 class="algo-title">📈 WEEKLY LINES</h2>
+      ${renderDuelChart(fighters, range, 'lines')}
+    </section>
+  `;
+}
+
+function duelToMarkdown(context, fighters, duel) {
+  const cell = value => String(value ?? '').replace(/\|/g, '\\|');
+  const logins = fighters.map(f => f.standing.login);
+  const winnerName = side => (side === null ? 'draw' : logins[side]);
+  return [
+    `### ⚔️ Git Gladiators duel: ${logins[0]} vs ${logins[1]}`,
+    '',
+    `_${context.arena} · ${context.period} · generated ${new Date(context.generatedAt).toLocaleString()}_`,
+    '',
+    `| Category | ${logins.map(cell).join(' | ')} | Winner |`,
+    '| --- | ---: | ---: | --- |',
+    ...duel.categories.map(c => `| ${cell(c.label)} | ${c.shown.map(cell).join(' | ')} | ${cell(winnerName(c.winner))} |`),
+    `| Title | ${fighters.map(f => cell(f.standing.title)).join(' | ')} | |`,
+    `| **POWER** | ${fighters.map(f => `**${f.standing.score}**`).join(' | ')} | **${cell(winnerName(duel.winner))}** |`,
+    '',
+    describeDuelVerdict(fighters, duel),
+    '',
+    `[Open this duel in Git Gladiators](${duelLink()})`
+  ].join('\n');
+}
+
+/**
+ * Flash a confirmation on a footer button
+ */
+function flashButton(button, text) {
+  const original = button.textContent;
+  button.textContent = text;
+  setTimeout(() => { button.textContent = original; }, 2000);
+}
+
+async function handleCopyDuel() {
+  const fighters = duelLogins.map(duelFighter);
+  if (fighters.some(f => !f)) return;
+
+  const context = exportContext();
+  const markdown = duelToMarkdown(context, fighters, getDuelResult(fighters));
+  if (await copyMarkdown(markdown, exportFilename({ ...context, arena: `${context.arena}-duel` }, 'md'))) {
+    flashButton(copyDuelBtn, '✓ COPIED');
+  }
+}
+
+async function handleCopyDuelLink() {
+  try {
+    await navigator.clipboard.writeText(duelLink());
+    flashButton(copyDuelLinkBtn, '✓ LINK COPIED');
+  } catch (e) {
+    flashButton(copyDuelLinkBtn, '✕ CLIPBOARD BLOCKED');
+  }
+}
+
+// --- Contributor detail ---
+
+const WEEK_SECONDS = 7 * 24 * 60 * 60;
+const HEATMAP_MAX_YEARS = 4;
+const CHART_MIN_WEEKS = 12;
+const CHART_MAX_WEEKS = 52;
+
+/**
+ * Start of the (Sunday, UTC) week containing `ms`, in unix seconds, matching the stats API buckets
+ */
+function weekStartSeconds(ms) {
+  const d = new Date(ms);
+  d.setUTCHours(0, 0, 0, 0);
+  d.setUTCDate(d.getUTCDate() - d.getUTCDay());
+  return d.getTime() / 1000;
+}
+
+function formatWeek(weekStart) {
+  return formatDate(weekStart * 1000);
+}
+
+function openContributorDetail(login) {
+  detailLogin = login;
+  renderContributorDetail();
+  setView('detail');
+  detailBackBtn.focus();
+}
+
+/**
+ * Back to the leaderboard, returning focus to the card that opened the detail
+ */
+function closeContributorDetail() {
+  setView('leaderboard');
+  const card = [...leaderboardEl.querySelectorAll('.contributor')].find(el => el.dataset.login === detailLogin);
+  card?.focus();
+}
+
+function renderContributorDetail() {
+  const key = detailLogin?.toLowerCase();
+  const contributor = (rawContributorData ? resolvedContributors() : []).find(c => c.login.toLowerCase() === key);
+  if (!contributor) {
+    detailContent.innerHTML = '<p class="algo-desc">No data for this contributor any more.</p>';
+    return;
+  }
+
+  const period = activePeriod();
+  // Contributors idle in this period aren't ranked, but their history is still worth showing
+  const ranked = currentStandings.find(c => c.login.toLowerCase() === key);
+  const standing = ranked || processContributors([contributor], period)[0];
+  const streaks = getStreakStats(contributor.weeks);
+  const nextTitles = standing ? getNextTitles(standing) : [];
+  const displayName = contributor.unlinked ? contributor.name || contributor.login : contributor.login;
+
+  detailContent.innerHTML = `
+    <section class="algo-section detail-header">
+      ${contributor.avatar
+        ? `<img class="avatar" src="${contributor.avatar}" alt="">`
+        : '<div class="avatar avatar-placeholder">✉</div>'}
       <div class="contributor-info">
-        <a href="${contributor.profileUrl}" target="_blank" class="username">${contributor.login}</a>
-        <div class="title-badge" style="color: ${contributor.color}">${contributor.title}</div>
+        ${contributor.unlinked
+          ? `<span class="username unlinked">${escapeHtml(displayName)}</span>`
+          : `<a href="${contributor.profileUrl}" target="_blank" class="username">${escapeHtml(displayName)}</a>`}
+        ${standing ? `<div class="title-badge" style="color: ${standing.color}">${standing.title}</div>` : ''}
       </div>
       <div class="score-display">
-        <div class="score">${contributor.score}</div>
-        <div class="score-label">POWER</div>
+        <div class="score">${standing?.score ?? 0}</div>
+        <div class="score-label">${ranked ? `#${ranked.rank} · ` : ''}${escapeHtml(describePeriod()).toUpperCase()}</div>
+      </div>
+    </section>
+
+    <section class="algo-section">
+      <h2 class="algo-title">📈 WEEKLY ACTIVITY</h2>
+      ${renderActivityChart(contributor.weeks, getPeriodRange(period))}
+    </section>
+
+    <section class="algo-section">
+      <h2 class="algo-title">🟩 HEATMAP</h2>
+      ${renderHeatmap(contributor.weeks)}
+    </section>
+
+    <section class="algo-section">
+      <h2 class="algo-title">🔥 STREAKS</h2>
+      <div class="detail-facts">
+        <div class="detail-fact"><span>Current streak</span><strong>${streaks.current} wk</strong></div>
+        <div class="detail-fact"><span>Longest streak</span><strong>${streaks.longest} wk</strong></div>
+        <div class="detail-fact"><span>First active</span><strong>${streaks.first ? formatWeek(streaks.first) : '—'}</strong></div>
+        <div class="detail-fact"><span>Last active</span><strong>${streaks.last ? formatWeek(streaks.last) : '—'}</strong></div>
+      </div>
+    </section>
+
+    <section class="algo-section">
+      <h2 class="algo-title">🏅 ACHIEVEMENTS</h2>
+      <div class="achievement-list">
+        ${ACHIEVEMENTS.map(a => {
+          const unlockedAt = getBadges(contributor.login).find(b => b.id === a.id)?.unlockedAt;
+          return `
+        <div class="achievement${unlockedAt ? '' : ' locked'}">
+          <span class="achievement-icon">${a.icon}</span>
+          <span class="achievement-name">${a.name}</span>
+          <span class="achievement-desc">${unlockedAt ? formatDate(unlockedAt) : a.description}</span>
+        </div>`;
+        }).join('')}
+      </div>
+    </section>
+
+    <section class="algo-section">
+      <h2 class="algo-title">🎯 NEXT TITLE</h2>
+      ${nextTitles.length ? nextTitles.map(next => `
+      <div class="detail-fact">
+        <span>+${formatNumber(next.needed)} ${next.field === 'commits' ? 'commits' : 'lines added'}</span>
+        <strong style="color: ${next.color}">${next.title}</strong>
+      </div>`).join('') : '<p class="algo-desc">No title change within reach for this period.</p>'}
+    </section>
+  `;
+}
+
+/**
+ * Longest and current runs of consecutive weeks with commits, plus the first
+ * and last active weeks. The current streak must reach this week or last week.
+ */
+function getStreakStats(weeks, now = Date.now()) {
+  const active = weeks.filter(w => w.c > 0).map(w => w.w).sort((a, b) => a - b);
+  if (active.length === 0) return { longest: 0, current: 0, first: null, last: null };
+
+  let longest = 1;
+  let run = 1;
+  for (let i = 1; i < active.length; i++) {
+    // Same tolerance as calculateStreak
+    run = active[i] - active[i - 1] <= WEEK_SECONDS + 86400 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  const last = active[active.length - 1];
+  const current = weekStartSeconds(now) - last <= WEEK_SECONDS ? run : 0;
+  return { longest, current, first: active[0], last };
+}
+
+/**
+ * Week starts a chart covers: the period from the first active week, widened
+ * to at least CHART_MIN_WEEKS and capped at the latest CHART_MAX_WEEKS
+ */
+function chartWeeks(weeks, range) {
+  const lastWeek = weekStartSeconds(Math.min(range.end, Date.now()) - 1);
+  const active = weeks.filter(w => w.c > 0 || w.a > 0 || w.d > 0).map(w => w.w);
+  const firstActive = active.length ? Math.min(...active) : lastWeek;
+  const startWeek = Math.max(weekStartSeconds(Math.max(range.start, firstActive * 1000)), 0);
+  const count = Math.min(CHART_MAX_WEEKS, Math.max(CHART_MIN_WEEKS, Math.round((lastWeek - startWeek) / WEEK_SECONDS) + 1));
+  return Array.from({ length: count }, (_, i) => lastWeek - (count - 1 - i) * WEEK_SECONDS);
+}
+
+/**
+ * SVG chart of weekly commits (bars) and lines changed (line) across the period
+ */
+function renderActivityChart(weeks, range) {
+  const byWeek = new Map(weeks.map(w => [w.w, w]));
+  const points = chartWeeks(weeks, range).map(w => {
+    const week = byWeek.get(w);
+    return { w, commits: week?.c || 0, lines: (week?.a || 0) + (week?.d || 0) };
+  });
+  const count = points.length;
+  const lastWeek = points[count - 1].w;
+
+  const maxCommits = Math.max(1, ...points.map(p => p.commits));
+  const maxLines = Math.max(1, ...points.map(p => p.lines));
+  const width = count * 10;
+  const height = 60;
+
+  const bars = points.map((p, i) => {
+    const h = (p.commits / maxCommits) * height;
+    return `<rect class="chart-bar" x="${i * 10 + 1}" y="${height - h}" width="8" height="${h}"><title>${formatWeek(p.w)}: ${p.commits} commits, ${formatNumber(p.lines)} lines</title></rect>`;
+  }).join('');
+  const line = points.map((p, i) => `${i * 10 + 5},${height - (p.lines / maxLines) * height}`).join(' ');
+
+  return `
+    <svg class="activity-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img"
+      aria-label="Weekly commits and lines changed, ${formatWeek(points[0].w)} to ${formatWeek(lastWeek)}">
+      ${bars}
+      <polyline class="chart-line" points="${line}" vector-effect="non-scaling-stroke"></polyline>
+    </svg>
+    <div class="chart-axis">
+      <span>${formatWeek(points[0].w)}</span>
+      <span class="chart-legend"><span class="legend-bar">▮</span> commits (max ${maxCommits}) <span class="legend-line">━</span> lines (max ${formatNumber(maxLines)})</span>
+      <span>${formatWeek(lastWeek)}</span>
+    </div>
+  `;
+}
+
+/**
+ * GitHub-style heatmap with one cell per week and one row per calendar year,
+ * shaded by commits relative to the busiest week
+ */
+function renderHeatmap(weeks) {
+  const active = weeks.filter(w => w.c > 0);
+  if (active.length === 0) return '<p class="algo-desc">No commits yet.</p>';
+
+  const maxCommits = Math.max(...active.map(w => w.c));
+  const byWeek = new Map(active.map(w => [w.w, w.c]));
+  const lastYear = new Date().getUTCFullYear();
+  const firstWeek = Math.min(...active.map(w => w.w)); // Weeks aren't guaranteed to be in order
+  const firstYear = Math.max(new Date(firstWeek * 1000).getUTCFullYear(), lastYear - HEATMAP_MAX_YEARS + 1);
+
+  const rows = [];
+  for (let year = lastYear; year >= firstYear; year--) {
+    const yearStart = weekStartSeconds(Date.UTC(year, 0, 1));
+    const cells = [];
+    for (let i = 0; i < 53; i++) {
+      const w = yearStart + i * WEEK_SECONDS;
+      if (new Date(w * 1000).getUTCFullYear() > year) break;
+      const commits = byWeek.get(w) || 0;
+      const level = commits === 0 ? 0 : Math.ceil((commits / maxCommits) * 4);
+      cells.push(`<span class="heat-cell level-${level}" title="${formatWeek(w)}: ${commits} commit${commits === 1 ? '' : 's'}"></span>`);
+    }
+    rows.push(`<div class="heat-row"><span class="heat-year">${year}</span><div class="heat-cells">${cells.join('')}</div></div>`);
+  }
+  return `<div class="heatmap">${rows.join('')}</div>`;
+}
+
+// --- Score breakdown ---
+
+function formatPoints(value) {
+  const rounded = Math.round(value * 10) / 10;
+  return `${rounded < 0 ? '−' : '+'}${Math.abs(rounded).toFixed(1)}`;
+}
+
+/**
+ * Steps from zero to the final score, in the order calculateScoreBreakdown
+ * applies them. Parts worth nothing are left out.
+ */
+function getScoreSteps(breakdown) {
+  const steps = breakdown.parts
+    .filter(part => part.points >= 0.05)
+    .map(part => ({ label: part.label, value: part.points }));
+  if (Math.abs(breakdown.consistencyBonus) >= 0.05) {
+    steps.push({ label: `📊 Consistency ×${breakdown.consistencyMultiplier.toFixed(2)}`, value: breakdown.consistencyBonus });
+  }
+  if (breakdown.streakBonus > 0) {
+    steps.push({ label: `🔥 Streak (${breakdown.streakWeeks} wk)`, value: breakdown.streakBonus });
+  }
+  if (breakdown.churnPenalty < 0) {
+    steps.push({ label: '♻️ Churn', value: breakdown.churnPenalty });
+  }
+  return steps;
+}
+
+/**
+ * Waterfall of score steps: each bar starts where the running total left off.
+ * The axis starts at the lowest running total, in case churn takes it below zero.
+ */
+function renderScoreWaterfall(breakdown) {
+  const steps = getScoreSteps(breakdown);
+  let total = 0;
+  const rows = steps.map(step => {
+    const from = total;
+    total += step.value;
+    return { ...step, from, to: total };
+  });
+  const min = Math.min(0, ...rows.map(row => Math.min(row.from, row.to)));
+  const span = Math.max(1, ...rows.map(row => Math.max(row.from, row.to))) - min;
+  const bar = (from, to) => `left: ${((Math.min(from, to) - min) / span) * 100}%; width: ${(Math.abs(to - from) / span) * 100}%`;
+
+  return `
+    <div class="waterfall">
+      ${rows.map(row => `
+      <div class="waterfall-row">
+        <span class="waterfall-label">${row.label}</span>
+        <span class="waterfall-track"><span class="waterfall-bar ${row.value < 0 ? 'down' : 'up'}" style="${bar(row.from, row.to)}"></span></span>
+        <span class="waterfall-value">${formatPoints(row.value)}</span>
+      </div>`).join('')}
+      <div class="waterfall-row total">
+        <span class="waterfall-label">POWER</span>
+        <span class="waterfall-track"><span class="waterfall-bar total" style="${bar(0, breakdown.score)}"></span></span>
+        <span class="waterfall-value">${breakdown.score}</span>
       </div>
     </div>
-    <div class="stats-row">
-      <div class="stat stat-commits">
-        <span class="stat-icon">⚡</span>
-        <span class="stat-value">${formatNumber(contributor.commits)}</span>
+  `;
+}
+
+/**
+ * Fill the Algorithm view's worked example with a ranked contributor's real numbers
+ */
+function renderAlgorithmWalkthrough() {
+  if (currentStandings.length === 0) {
+    algoContributorSelect.style.display = 'none';
+    algoWalkthroughEl.innerHTML = '<p class="algo-desc">Load a leaderboard to see the formula applied to real stats.</p>';
+    return;
+  }
+
+  const contributor = currentStandings.find(c => c.login === walkthroughLogin) || currentStandings[0];
+  walkthroughLogin = contributor.login;
+  algoContributorSelect.style.display = '';
+  algoContributorSelect.innerHTML = currentStandings
+    .map(c => `<option value="${escapeHtml(c.login)}"${c === contributor ? ' selected' : ''}>#${c.rank} ${escapeHtml(c.name || c.login)}</option>`)
+    .join('');
+
+  const { parts, base, consistencyMultiplier, streakWeeks, streakBonus, churnPenalty, score } = contributor.breakdown;
+  algoWalkthroughEl.innerHTML = `
+    <div class="formula-box">
+      ${parts.filter(part => part.count > 0).map(part => `
+      <div class="formula-row">
+        <span class="formula-label">${part.label}</span>
+        <span class="formula-detail">log₁₀(${formatNumber(part.count)} + 1) × ${part.scale} × ${part.weight}</span>
+        <span class="formula-weight">${part.points.toFixed(1)}</span>
+      </div>`).join('')}
+      <div class="formula-row">
+        <span class="formula-label">Base</span>
+        <span class="formula-detail">sum of the above</span>
+        <span class="formula-weight">${base.toFixed(1)}</span>
       </div>
-      <div class="stat stat-add">
-        <span class="stat-icon">+</span>
-        <span class="stat-value">${formatNumber(contributor.additions)}</span>
+      <div class="formula-row">
+        <span class="formula-label">📊 Consistency</span>
+        <span class="formula-detail">${base.toFixed(1)} × ${consistencyMultiplier.toFixed(2)}</span>
+        <span class="formula-weight">${(base * consistencyMultiplier).toFixed(1)}</span>
       </div>
-      <div class="stat stat-del">
-        <span class="stat-icon">−</span>
-        <span class="stat-value">${formatNumber(contributor.deletions)}</span>
+      <div class="formula-row">
+        <span class="formula-label">🔥 Streak</span>
+        <span class="formula-detail">${streakWeeks} wk, capped</span>
+        <span class="formula-weight bonus">${formatPoints(streakBonus)}</span>
+      </div>
+      <div class="formula-row">
+        <span class="formula-label">♻️ Churn</span>
+        <span class="formula-detail">rewritten lines</span>
+        <span class="formula-weight del">${formatPoints(churnPenalty)}</span>
+      </div>
+      <div class="formula-row bonus">
+        <span class="formula-label">⚡ POWER (${escapeHtml(describePeriod())})</span>
+        <span class="formula-weight bonus">${score}</span>
       </div>
-      ${contributor.streakWeeks > 0 ? `
-      <div class="stat stat-streak">
-        <span class="stat-icon">🔥</span>
-        <span class="stat-value">${contributor.streakWeeks}</span>
-      </div>` : ''}
     </div>
   `;
-  
-  return card;
+}
+
+function renderRankChange(contributor) {
+  if (contributor.rankChange === undefined) return '';
+  if (contributor.rankChange === null) return '<div class="rank-move new">NEW</div>';
+  if (contributor.rankChange > 0) return `<div class="rank-move up">▲${contributor.rankChange}</div>`;
+  if (contributor.rankChange < 0) return `<div class="rank-move down">▼${-contributor.rankChange}</div>`;
+  return '<div class="rank-move">=</div>';
 }
 
 function getMedalEmoji(rank) {
@@ -540,10 +3338,18 @@ function formatNumber(num) {
   return num.toString();
 }
 
-function showStatus(message) {
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
+function showStatus(message, { keepLeaderboard = false } = {}) {
   statusBar.classList.remove('hidden');
   statusText.textContent = message;
-  leaderboardEl.innerHTML = '';
+  if (!keepLeaderboard) {
+    leaderboardEl.innerHTML = '';
+  }
 }
 
 function hideStatus() {
@@ -580,16 +3386,174 @@ function sendMessage(message) {
 
 // Event Listeners
 saveTokenBtn.addEventListener('click', handleSaveToken);
+hostInput.addEventListener('input', updateTokenLink);
 
 tokenInput.addEventListener('keypress', (e) => {
   if (e.key === 'Enter') handleSaveToken();
 });
 
-refreshBtn.addEventListener('click', fetchAndDisplayStats);
+hostInput.addEventListener('change', loadClientId);
+deviceSignInBtn.addEventListener('click', handleDeviceSignIn);
+cancelDeviceBtn.addEventListener('click', async () => {
+  await sendMessage({ action: 'cancelDeviceFlow' });
+  renderDeviceFlow(null);
+});
+deviceCodeEl.addEventListener('click', () => {
+  navigator.clipboard.writeText(deviceCodeEl.textContent);
+  deviceStatusEl.textContent = 'Code copied.';
+});
+openVerificationBtn.addEventListener('click', () => {
+  // Opening a tab closes the popup; the worker keeps polling meanwhile
+  chrome.tabs.create({ url: openVerificationBtn.dataset.url });
+});
 
-settingsBtn.addEventListener('click', async () => {
-  await sendMessage({ action: 'clearToken' });
-  showTokenSetup();
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'session' && changes.deviceFlow && tokenSetup.style.display !== 'none') {
+    renderDeviceFlow(changes.deviceFlow.newValue);
+  }
+  if (area === 'session' && changes.fetchPause && currentArena) {
+    if (changes.fetchPause.newValue) {
+      renderRateBudget();
+    } else {
+      showStatus('Resuming...', { keepLeaderboard: !!rawContributorData });
+    }
+  }
+});
+
+refreshBtn.addEventListener('click', () => fetchAndDisplayStats({ force: true }));
+
+arenaBtn.addEventListener('click', () => {
+  if (currentView === 'arena') {
+    setView('leaderboard');
+    return;
+  }
+  renderArenaList();
+  renderRefPicker();
+  setView('arena');
+});
+
+saveArenaBtn.addEventListener('click', handleSaveArena);
+
+applyRefBtn.addEventListener('click', () => selectRef(refInput.value.trim()));
+
+refInput.addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') selectRef(refInput.value.trim());
+});
+
+defaultRefBtn.addEventListener('click', () => selectRef(null));
+
+applyRangeBtn.addEventListener('click', handleApplyRange);
+
+rollingPresets.addEventListener('click', (e) => {
+  const days = Number(e.target.dataset.days);
+  if (days) setCustomRange({ rollingDays: days, label: `the last ${days} days` });
+});
+
+quarterSelect.addEventListener('change', () => {
+  if (!quarterSelect.value) return;
+  const [year, q] = quarterSelect.value.split('-').map(Number);
+  setCustomRange({ quarter: { year, q }, label: `Q${q + 1} ${year}` });
+});
+
+tuneScoringBtn.addEventListener('click', openScoringEditor);
+saveScoringBtn.addEventListener('click', handleSaveScoring);
+
+resetScoringBtn.addEventListener('click', () => {
+  scoringDraft = mergeScoringConfig(DEFAULT_SCORING_CONFIG);
+  renderScoringEditor();
+});
+
+cancelScoringBtn.addEventListener('click', () => {
+  scoringDraft = null;
+  setView('algorithm');
+});
+
+compareBtn.addEventListener('click', () => {
+  compareMode = !compareMode;
+  compareBtn.classList.toggle('active', compareMode);
+  renderRangeLabel();
+  renderCurrentData();
+});
+
+squadModeTabs.addEventListener('click', async (e) => {
+  if (!e.target.classList.contains('squad-mode')) return;
+  setSquadScoring(e.target.dataset.mode);
+  await chrome.storage.sync.set({ squadScoring });
+  renderCurrentData();
+});
+
+editSquadsBtn.addEventListener('click', openSquadEditor);
+saveSquadsBtn.addEventListener('click', handleSaveSquads);
+
+identitiesBtn.addEventListener('click', openIdentityEditor);
+
+pathsBtn.addEventListener('click', openPathEditor);
+
+savePathsBtn.addEventListener('click', handleSavePaths);
+
+defaultPathsBtn.addEventListener('click', () => savePathExclusions(null));
+widgetsBtn.addEventListener('click', openWidgetSettings);
+saveWidgetsBtn.addEventListener('click', handleSaveWidgets);
+saveIdentitiesBtn.addEventListener('click', handleSaveIdentities);
+seedSquadsBtn.addEventListener('click', handleSeedSquads);
+importSquadsInput.addEventListener('change', handleImportSquads);
+
+settingsBtn.addEventListener('click', openSettings);
+unlockBtn.addEventListener('click', handleUnlock);
+passphraseInput.addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') handleUnlock();
+});
+forgetTokensBtn.addEventListener('click', handleForgetTokens);
+tokenHostsEl.addEventListener('click', handleTokenHostAction);
+addAccountBtn.addEventListener('click', () => showTokenSetup(DEFAULT_HOST));
+saveStorageBtn.addEventListener('click', handleSaveStorage);
+saveNotificationsBtn.addEventListener('click', handleSaveNotifications);
+for (const radio of document.querySelectorAll('input[name="tokenStorage"]')) {
+  // Switching to encryption (or re-keying it) needs a new passphrase
+  radio.addEventListener('change', () => {
+    newPassphraseInput.style.display = radio.value === 'encrypted' ? '' : 'none';
+  });
+}
+
+detailBackBtn.addEventListener('click', closeContributorDetail);
+detailDuelBtn.addEventListener('click', () => {
+  const [first, second] = defaultDuelLogins();
+  openDuel([detailLogin, first?.toLowerCase() === detailLogin.toLowerCase() ? second : first]);
+});
+
+duelLeftSelect.addEventListener('change', () => {
+  duelLogins = [duelLeftSelect.value, duelLogins[1]];
+  renderDuel();
+});
+duelRightSelect.addEventListener('change', () => {
+  duelLogins = [duelLogins[0], duelRightSelect.value];
+  renderDuel();
+});
+copyDuelBtn.addEventListener('click', handleCopyDuel);
+copyDuelLinkBtn.addEventListener('click', handleCopyDuelLink);
+
+exportBtn.addEventListener('click', () => toggleExportMenu());
+
+exportMenu.addEventListener('click', (e) => {
+  const option = e.target.closest('.export-option');
+  if (option) handleExport(option.dataset.format);
+});
+
+achievementToast.addEventListener('click', dismissCelebration);
+
+algoContributorSelect.addEventListener('change', () => {
+  walkthroughLogin = algoContributorSelect.value;
+  renderAlgorithmWalkthrough();
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key !== 'Escape') return;
+  if (exportMenu.style.display !== 'none') {
+    toggleExportMenu(false);
+    exportBtn.focus();
+  } else if (currentView === 'detail') {
+    closeContributorDetail();
+  }
 });
 
 // Initialize
@@ -0,0 +1,132 @@
+/**
+ * GitHub hosts and route parsing for Git Gladiators, shared by the popup,
+ * the content script and the background worker. Turns a github.com (or
+ * GitHub Enterprise Server) URL into the page's context: a repo (optionally
+ * a pull request or branch within it), an org, or a user.
+ */
+
+const DEFAULT_HOST = 'github.com';
+
+/**
+ * REST and GraphQL endpoints for a host. GitHub Enterprise Server serves
+ * the API from the instance itself under /api.
+ */
+function githubApiUrls(host = DEFAULT_HOST) {
+  if (host === DEFAULT_HOST) {
+    return { rest: 'https://api.github.com', graphql: 'https://api.github.com/graphql' };
+  }
+  return { rest: `https://${host}/api/v3`, graphql: `https://${host}/api/graphql` };
+}
+
+/**
+ * Origin pattern to request as an optional host permission for a GHES host.
+ * Match patterns can't name a port, and cover every port anyway.
+ */
+function hostPermission(host) {
+  return `https://${host.replace(/:\d+$/, '')}/*`;
+}
+
+/**
+ * Normalize user input like "https://ghe.example.com/" to a bare host name
+ */
+function normalizeHost(input) {
+  const value = input.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+  return /^[a-z\d.-]+(:\d+)?$/.test(value) ? value : null;
+}
+
+// First path segments that are GitHub's own pages rather than an owner
+const RESERVED_PATHS = new Set([
+  'about', 'account', 'apps', 'blog', 'codespaces', 'collections', 'contact',
+  'copilot', 'customer-stories', 'dashboard', 'discussions', 'enterprise',
+  'enterprises', 'events', 'explore', 'features', 'gist', 'github-copilot',
+  'home', 'issues', 'join', 'login', 'logout', 'marketplace', 'new',
+  'notifications', 'organizations', 'orgs', 'password_reset', 'pricing',
+  'pulls', 'readme', 'search', 'security', 'sessions', 'settings', 'signup',
+  'site', 'sponsors', 'stars', 'team', 'topics', 'trending', 'users', 'watching'
+]);
+
+// Repo subpages that get a route type of their own
+const REPO_SECTIONS = new Map([
+  ['pull', 'pull'],
+  ['tree', 'branch']
+]);
+
+function isOwnerName(segment) {
+  return /^[a-z\d][a-z\d-]*$/i.test(segment) && !RESERVED_PATHS.has(segment.toLowerCase());
+}
+
+/**
+ * Parse a GitHub URL into a route, or null when the page has no repo, org or
+ * user context (settings, notifications, marketplace, search, ...) or isn't
+ * on github.com or one of `enterpriseHosts`. Every route carries its `host`.
+ *
+ * Repo routes carry `owner`, `repo` and `section` (the first path segment
+ * after the repo, e.g. `pull`, `commits`, `issues`). Pull request routes add
+ * `pullNumber`; branch routes add `treePath`, everything after /tree/, since
+ * which part of it is the ref can only be resolved against the repo's refs.
+ * Owner routes are `org` or `user` when the URL says which (/orgs/, /users/)
+ * and `owner` otherwise.
+ */
+function parseGitHubRoute(url, enterpriseHosts = []) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const host = parsed.host.toLowerCase();
+  if (host !== DEFAULT_HOST && !enterpriseHosts.includes(host)) return null;
+
+  let segments;
+  try {
+    segments = parsed.pathname.split('/').filter(Boolean).map(s => decodeURIComponent(s));
+  } catch {
+    return null; // Malformed escapes, e.g. /owner/repo/tree/100%
+  }
+  const [first, second, third, ...rest] = segments;
+  if (!first) return null;
+
+  const top = first.toLowerCase();
+  if (top === 'orgs' || top === 'users') {
+    if (!second || !isOwnerName(second)) return null;
+    return { type: top === 'orgs' ? 'org' : 'user', host, owner: second };
+  }
+  if (!isOwnerName(first)) return null;
+  if (!second) return { type: 'owner', host, owner: first };
+
+  const route = {
+    type: 'repo',
+    host,
+    owner: first,
+    repo: second.replace(/\.git$/, ''),
+    section: third || null
+  };
+  if (REPO_SECTIONS.has(third)) route.type = REPO_SECTIONS.get(third);
+  if (route.type === 'pull') {
+    const pullNumber = parseInt(rest[0], 10);
+    if (!pullNumber) route.type = 'repo';
+    else route.pullNumber = pullNumber;
+  }
+  if (route.type === 'branch') {
+    const treePath = rest.join('/').replace(/\/+$/, '');
+    if (!treePath) route.type = 'repo';
+    else route.treePath = treePath;
+  }
+  return route;
+}
+
+/**
+ * The repo a route belongs to, or null for owner routes. `host` is only set
+ * for GHES repos, matching how arenas store it.
+ */
+function routeRepo(route) {
+  if (!route?.repo) return null;
+  const repo = { owner: route.owner, repo: route.repo };
+  if (route.host !== DEFAULT_HOST) repo.host = route.host;
+  return repo;
+}
+
+// Classic script in the extension; the CLI requires it from Node
+if (typeof module !== 'undefined') {
+  module.exports = { DEFAULT_HOST, githubApiUrls, normalizeHost, parseGitHubRoute, routeRepo };
+}
@@ -0,0 +1,516 @@
+/**
+ * Scoring for Git Gladiators, shared by the popup, the in-page widgets, the
+ * background worker's toolbar badge and the command-line leaderboard
+ * Turns weekly contributor buckets into ranked, scored and titled standings
+ */
+
+// Default scoring config
+const DEFAULT_SCORING_CONFIG = {
+  commitWeight: 0.4,
+  additionsWeight: 0.35,
+  deletionsWeight: 0.25,
+  pullRequestWeight: 0.1,
+  mergedWeight: 0.1,
+  reviewWeight: 0.2,
+  reviewCommentWeight: 0.05,
+  streakMax: 15,
+  streakPerWeek: 3,
+  consistencyMin: 0.85,
+  consistencyMax: 1.15,
+  churnPenaltyMax: 10,
+  // Thresholds used by assignTitle
+  titles: {
+    architectCommits: 500,
+    cleanerDeleteRatio: 0.6,
+    cleanerMinLines: 100,
+    tsunamiLinesPerCommit: 500,
+    rapidFireLinesPerCommit: 20,
+    rapidFireMinCommits: 50,
+    novelWriterAdditions: 50000,
+    veteranCommits: 100,
+    warriorCommits: 50,
+    defenderCommits: 20,
+    risingStarCommits: 10,
+  },
+};
+
+function mergeScoringConfig(base, overrides = {}) {
+  return {
+    ...base,
+    ...overrides,
+    titles: { ...base.titles, ...overrides.titles }
+  };
+}
+
+// Who counts on the leaderboard; edited in the Identities view
+const DEFAULT_IDENTITY_RULES = {
+  excludeBots: true,
+  excludeLogins: [], // logins, commit emails or author names; `*` is a wildcard
+  aliases: []        // [{ name: primaryLogin, members: [otherLogin, commit@email] }]
+};
+
+// In-page widgets on github.com; each is off until enabled in the popup
+const DEFAULT_WIDGET_SETTINGS = {
+  sidebar: false,     // Top-5 arena panel in the repo sidebar
+  authorChips: false, // Rank/title chip next to authors on PR and commit pages
+  hovercards: false,  // Rank badge on user hovercards
+  period: 'month'     // Period the widget standings cover
+};
+
+// Bot accounts (GitHub Apps end in [bot]; their commits are unlinked noreply emails)
+const BOT_PATTERNS = [
+  '*[bot]',
+  '*[bot]@users.noreply.github.com',
+  'dependabot*',
+  'renovate*',
+  'github-actions*',
+  'greenkeeper*',
+  'snyk-bot',
+  'codecov*',
+  'mergify*',
+  'imgbot*',
+  'allcontributors*',
+];
+
+// Active scoring config; pages that load this script apply the saved overrides from chrome.storage.sync
+const SCORING_CONFIG = mergeScoringConfig(DEFAULT_SCORING_CONFIG);
+
+// --- Periods ---
+
+const PERIOD_NAMES = {
+  week: 'this week',
+  month: 'this month',
+  quarter: 'this quarter',
+  year: 'this year',
+  all: 'all time'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+// PR and review activity is only synced this far back; older weeks score commits alone
+const PULLS_WINDOW_MS = 366 * DAY_MS;
+
+function quarterStart(year, quarter) {
+  return new Date(year, quarter * 3, 1).getTime();
+}
+
+/**
+ * Start (ms) of the weekly bucket containing `ms`. Buckets start on Sunday,
+ * 00:00 UTC, as GitHub's stats do.
+ */
+function weekBucketStart(ms) {
+  const d = new Date(ms);
+  d.setUTCHours(0, 0, 0, 0);
+  d.setUTCDate(d.getUTCDate() - d.getUTCDay());
+  return d.getTime();
+}
+
+/**
+ * The weekly buckets a [start, end) range scores: the first one's start (ms)
+ * and how many there are. A bucket counts when it starts inside the range.
+ */
+function rangeBuckets(start, end) {
+  const bucket = weekBucketStart(start);
+  const first = bucket < start ? bucket + WEEK_MS : bucket;
+  return { first, count: Math.max(0, Math.ceil((end - first) / WEEK_MS)) };
+}
+
+/**
+ * Get the [start, end) timestamp range (ms) for a period. `period` is a tab key
+ * ('week', 'month', 'quarter', 'year', 'all') or a custom range object:
+ * `{ start, end }`, `{ rollingDays }` or `{ quarter: { year, q } }` (q is 0-3).
+ * Stats come in weekly buckets, so ranges anchored to a date (quarters, years,
+ * picked dates) start at the bucket holding that date; otherwise a range
+ * starting mid-week would drop its partial first week.
+ */
+function getPeriodRange(period, now = Date.now()) {
+  const today = new Date(now);
+
+  if (typeof period === 'object') {
+    if (period.rollingDays) {
+      return { start: now - period.rollingDays * DAY_MS, end: now };
+    }
+    if (period.quarter) {
+      const { year, q } = period.quarter;
+      return { start: weekBucketStart(quarterStart(year, q)), end: quarterStart(year, q + 1) };
+    }
+    return { start: weekBucketStart(period.start), end: period.end };
+  }
+
+  switch (period) {
+    case 'week':
+      return { start: now - WEEK_MS, end: now };
+    case 'month':
+      return { start: now - (4 * WEEK_MS), end: now }; // ~4 weeks
+    case 'quarter':
+      return { start: weekBucketStart(quarterStart(today.getFullYear(), Math.floor(today.getMonth() / 3))), end: now };
+    case 'year':
+      return { start: weekBucketStart(new Date(today.getFullYear(), 0, 1).getTime()), end: now };
+    default:
+      return { start: 0, end: Infinity }; // All time
+  }
+}
+
+// --- Scoring ---
+
+/**
+ * Process raw contributor data for a time period
+ */
+function processContributors(contributors, period, config = SCORING_CONFIG) {
+  const { start, end } = getPeriodRange(period);
+  const range = { start: start / 1000, end: end / 1000 }; // Convert to Unix timestamps
+
+  const processed = contributors.map(contributor => {
+    // Filter weeks by time period
+    const relevantWeeks = contributor.weeks.filter(week => week.w >= range.start && week.w < range.end);
+
+    // Sum up stats from relevant weeks
+    let commits = relevantWeeks.reduce((sum, week) => sum + week.c, 0);
+    const additions = relevantWeeks.reduce((sum, week) => sum + week.a, 0);
+    const deletions = relevantWeeks.reduce((sum, week) => sum + week.d, 0);
+
+    // PR and review counters are absent from weeks without that activity
+    const pullRequests = relevantWeeks.reduce((sum, week) => sum + (week.p || 0), 0);
+    const mergedPullRequests = relevantWeeks.reduce((sum, week) => sum + (week.m || 0), 0);
+    const reviews = relevantWeeks.reduce((sum, week) => sum + (week.r || 0), 0);
+    const reviewComments = relevantWeeks.reduce((sum, week) => sum + (week.rc || 0), 0);
+
+    // Lines in excluded paths, already left out of a/d; shown but never scored
+    const excludedLines = relevantWeeks.reduce((sum, week) => sum + (week.xa || 0) + (week.xd || 0), 0);
+
+    // Fallback to totalCommits for contributors missing week data (from /contributors endpoint)
+    if (commits === 0 && period === 'all' && contributor.totalCommits) {
+      commits = contributor.totalCommits;
+    }
+
+    const stats = { commits, additions, deletions, pullRequests, mergedPullRequests, reviews, reviewComments };
+    const breakdown = calculateScoreBreakdown(stats, relevantWeeks, config);
+    const titleInfo = assignTitle(stats, config.titles);
+
+    return {
+      login: contributor.login,
+      name: contributor.name,
+      unlinked: !!contributor.unlinked,
+      aliases: contributor.aliases || [],
+      avatar: contributor.avatar,
+      profileUrl: contributor.profileUrl,
+      ...stats,
+      streakWeeks: breakdown.streakWeeks,
+      excludedLines,
+      score: breakdown.score,
+      breakdown,
+      repoBreakdown: contributor.repoWeeks ? getRepoBreakdown(contributor.repoWeeks, range) : null,
+      ...titleInfo
+    };
+  });
+  
+  // Filter out contributors with no activity in period
+  const active = processed.filter(c =>
+    c.commits > 0 || c.additions > 0 || c.deletions > 0 || c.pullRequests > 0 || c.reviews > 0
+  );
+  
+  // Sort by score
+  active.sort((a, b) => b.score - a.score);
+  
+  // Assign ranks
+  active.forEach((contributor, index) => {
+    contributor.rank = index + 1;
+  });
+  
+  return active;
+}
+
+/**
+ * Per-repo activity for arena contributors, busiest repo first
+ */
+function getRepoBreakdown(repoWeeks, range) {
+  return Object.entries(repoWeeks)
+    .map(([repo, weeks]) => {
+      const relevantWeeks = weeks.filter(week => week.w >= range.start && week.w < range.end);
+      return {
+        repo,
+        commits: relevantWeeks.reduce((sum, week) => sum + week.c, 0),
+        additions: relevantWeeks.reduce((sum, week) => sum + week.a, 0),
+        deletions: relevantWeeks.reduce((sum, week) => sum + week.d, 0)
+      };
+    })
+    .filter(r => r.commits > 0 || r.additions > 0 || r.deletions > 0)
+    .sort((a, b) => b.commits - a.commits || (b.additions + b.deletions) - (a.additions + a.deletions));
+}
+
+/**
+ * Calculate streak: consecutive weeks with >= 1 commit, counting back from most recent active week
+ */
+function calculateStreak(relevantWeeks, config = SCORING_CONFIG) {
+  const { streakMax, streakPerWeek } = config;
+  const activeWeeks = relevantWeeks.filter(w => w.c > 0);
+  if (activeWeeks.length === 0) return { streakWeeks: 0, streakBonus: 0 };
+
+  // Sort by timestamp descending to count back from most recent
+  const sorted = [...activeWeeks].sort((a, b) => b.w - a.w);
+  const weekSec = 7 * 24 * 60 * 60;
+
+  let streakWeeks = 1;
+  for (let i = 1; i < sorted.length; i++) {
+    const gap = sorted[i - 1].w - sorted[i].w;
+    // Allow gap of exactly 1 week (GitHub weekly buckets)
+    if (gap <= weekSec + 86400) { // +1 day tolerance
+      streakWeeks++;
+    } else {
+      break;
+    }
+  }
+
+  const streakBonus = Math.min(streakMax, streakWeeks * streakPerWeek);
+  return { streakWeeks, streakBonus };
+}
+
+/**
+ * Calculate consistency multiplier based on coefficient of variation of weekly commits
+ */
+function calculateConsistency(relevantWeeks, config = SCORING_CONFIG) {
+  const { consistencyMin, consistencyMax } = config;
+  const activeWeeks = relevantWeeks.filter(w => w.c > 0);
+
+  if (activeWeeks.length < 3) return 1.0;
+
+  const counts = activeWeeks.map(w => w.c);
+  const mean = counts.reduce((s, v) => s + v, 0) / counts.length;
+  const variance = counts.reduce((s, v) => s + (v - mean) ** 2, 0) / counts.length;
+  const stddev = Math.sqrt(variance);
+  const cv = mean > 0 ? stddev / mean : 0;
+
+  // Defaults: 1.15 - (0.3 * min(1, CV))  →  range [0.85, 1.15]
+  return consistencyMax - ((consistencyMax - consistencyMin) * Math.min(1, cv));
+}
+
+/**
+ * Calculate code churn penalty
+ */
+function calculateChurn(relevantWeeks, config = SCORING_CONFIG) {
+  const { churnPenaltyMax } = config;
+  const activeWeeks = relevantWeeks.filter(w => w.c > 0 || w.a > 0 || w.d > 0);
+
+  if (activeWeeks.length < 2) return 0;
+
+  // Sort chronologically
+  const sorted = [...activeWeeks].sort((a, b) => a.w - b.w);
+
+  let totalChurn = 0;
+  let totalAdditions = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    totalAdditions += sorted[i].a;
+    if (i < sorted.length - 1) {
+      totalChurn += Math.min(sorted[i].a, sorted[i + 1].d);
+    }
+  }
+
+  if (totalAdditions === 0) return 0;
+
+  const churnRatio = Math.min(1.0, totalChurn / totalAdditions);
+  return -churnPenaltyMax * churnRatio;
+}
+
+// Log-scaled parts of the base score: stat, log multiplier and the config weight applied
+const SCORE_PARTS = [
+  { stat: 'commits', label: '⚡ Commits', scale: 100, weight: 'commitWeight' },
+  { stat: 'additions', label: '+ Lines added', scale: 10, weight: 'additionsWeight' },
+  { stat: 'deletions', label: '− Lines deleted', scale: 10, weight: 'deletionsWeight' },
+  { stat: 'pullRequests', label: '⇡ PRs opened', scale: 100, weight: 'pullRequestWeight' },
+  { stat: 'mergedPullRequests', label: '⇡ PRs merged', scale: 100, weight: 'mergedWeight' },
+  { stat: 'reviews', label: '👀 Reviews', scale: 100, weight: 'reviewWeight' },
+  { stat: 'reviewComments', label: '💬 Review comments', scale: 100, weight: 'reviewCommentWeight' }
+];
+
+/**
+ * Score with every intermediate step kept: the weighted log-scaled parts,
+ * their base sum, the consistency multiplier, streak bonus and churn penalty.
+ */
+function calculateScoreBreakdown(stats, relevantWeeks, config = SCORING_CONFIG) {
+  const parts = SCORE_PARTS.map(({ stat, label, scale, weight }) => {
+    const count = stats[stat] || 0;
+    const scaled = Math.log10(count + 1) * scale;
+    return { stat, label, count, scale, weight: config[weight], scaled, points: scaled * config[weight] };
+  });
+
+  const base = parts.reduce((sum, part) => sum + part.points, 0);
+  const consistencyMultiplier = calculateConsistency(relevantWeeks, config);
+  const { streakWeeks, streakBonus } = calculateStreak(relevantWeeks, config);
+  const churnPenalty = calculateChurn(relevantWeeks, config);
+
+  const finalScore = (base * consistencyMultiplier) + streakBonus + churnPenalty;
+  return {
+    parts,
+    base,
+    consistencyMultiplier,
+    consistencyBonus: base * (consistencyMultiplier - 1),
+    streakWeeks,
+    streakBonus,
+    churnPenalty,
+    score: Math.round(Math.max(0, finalScore) * 10) / 10
+  };
+}
+
+/**
+ * Calculate final score with streak, consistency, and churn.
+ * PR and review counts are log-scaled like commits.
+ */
+function calculateScore(stats, relevantWeeks, config = SCORING_CONFIG) {
+  return calculateScoreBreakdown(stats, relevantWeeks, config).score;
+}
+
+/**
+ * Assign titles based on contribution patterns
+ */
+function assignTitle(stats, titles = SCORING_CONFIG.titles) {
+  const { commits, additions, deletions } = stats;
+  const total = additions + deletions;
+  const ratio = commits > 0 ? total / commits : 0;
+  const deleteRatio = total > 0 ? deletions / total : 0;
+  
+  if (commits >= titles.architectCommits) return { title: "🏛️ Code Architect", color: "#FFD700" };
+  if (deleteRatio > titles.cleanerDeleteRatio && total > titles.cleanerMinLines) return { title: "🧹 The Cleaner", color: "#9B59B6" };
+  if (ratio > titles.tsunamiLinesPerCommit) return { title: "🌊 Tsunami Coder", color: "#3498DB" };
+  if (ratio < titles.rapidFireLinesPerCommit && commits > titles.rapidFireMinCommits) return { title: "⚡ Rapid Fire", color: "#E74C3C" };
+  if (additions > titles.novelWriterAdditions) return { title: "📚 Novel Writer", color: "#2ECC71" };
+  if (commits >= titles.veteranCommits) return { title: "🎖️ Veteran", color: "#F39C12" };
+  if (commits >= titles.warriorCommits) return { title: "⚔️ Warrior", color: "#E67E22" };
+  if (commits >= titles.defenderCommits) return { title: "🛡️ Defender", color: "#1ABC9C" };
+  if (commits >= titles.risingStarCommits) return { title: "🌱 Rising Star", color: "#27AE60" };
+  if (commits >= 1) return { title: "🆕 Fresh Blood", color: "#95A5A6" };
+  return { title: "💤 Inactive", color: "#666677" };
+}
+
+// --- Identities ---
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Sum weekly buckets from several week arrays into one
+ */
+function mergeWeekLists(weekLists) {
+  const byWeek = new Map();
+  for (const weeks of weekLists) {
+    for (const week of weeks) {
+      if (!byWeek.has(week.w)) byWeek.set(week.w, { w: week.w, a: 0, d: 0, c: 0 });
+      const total = byWeek.get(week.w);
+      for (const [field, value] of Object.entries(week)) {
+        if (field !== 'w') total[field] = (total[field] || 0) + value;
+      }
+    }
+  }
+  return Array.from(byWeek.values()).sort((a, b) => a.w - b.w);
+}
+
+/**
+ * Drop excluded accounts and fold aliases (other logins or commit emails)
+ * into their primary login before scoring
+ */
+function applyIdentityRules(contributors, rules) {
+  const patterns = [...(rules.excludeBots ? BOT_PATTERNS : []), ...rules.excludeLogins].map(globToRegExp);
+  const isExcluded = c => patterns.some(re => re.test(c.login) || (c.name && re.test(c.name)));
+
+  const primaryOf = new Map(); // alias (lowercase) -> primary login
+  for (const { name, members } of rules.aliases) {
+    primaryOf.set(name.toLowerCase(), name);
+    for (const member of members) primaryOf.set(member.toLowerCase(), name);
+  }
+
+  const groups = new Map(); // primary (lowercase) -> contributors
+  for (const contributor of contributors) {
+    if (isExcluded(contributor)) continue;
+    const primary = primaryOf.get(contributor.login.toLowerCase()) || contributor.login;
+    const key = primary.toLowerCase();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(contributor);
+  }
+
+  return Array.from(groups, ([key, group]) => {
+    const primary = group.find(c => c.login.toLowerCase() === key);
+    if (group.length === 1 && primary) return primary;
+
+    const login = primary?.login || primaryOf.get(key);
+    const merged = {
+      login,
+      avatar: primary?.avatar || group.find(c => c.avatar)?.avatar || '',
+      profileUrl: primary?.profileUrl || `https://github.com/${login}`,
+      aliases: group.filter(c => c !== primary).map(c => c.login),
+      totalCommits: group.reduce((sum, c) => sum + (c.totalCommits || 0), 0),
+      weeks: mergeWeekLists(group.map(c => c.weeks))
+    };
+
+    if (group.some(c => c.repoWeeks)) {
+      const repos = new Set(group.flatMap(c => Object.keys(c.repoWeeks || {})));
+      merged.repoWeeks = {};
+      for (const repo of repos) {
+        merged.repoWeeks[repo] = mergeWeekLists(group.map(c => c.repoWeeks?.[repo] || []));
+      }
+    }
+    return merged;
+  });
+}
+
+// --- Export ---
+
+// Columns of the CSV and JSON exports, shared by the popup and the CLI.
+// Authors without a GitHub account are keyed by email, which gets its own column.
+const EXPORT_COLUMNS = [
+  { key: 'rank', label: 'Rank' },
+  { key: 'login', label: 'Login', value: c => (c.unlinked ? null : c.login) },
+  { key: 'email', label: 'Email', value: c => (c.unlinked ? c.login : null) },
+  { key: 'score', label: 'Score' },
+  { key: 'commits', label: 'Commits' },
+  { key: 'additions', label: 'Additions' },
+  { key: 'deletions', label: 'Deletions' },
+  { key: 'streakWeeks', label: 'Streak (weeks)' },
+  { key: 'title', label: 'Title' }
+];
+
+function toExportRows(standings) {
+  return standings.map(c => Object.fromEntries(EXPORT_COLUMNS.map(({ key, value }) => [key, value ? value(c) : c[key]])));
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per contributor, with the export context repeated in trailing columns
+ */
+function toCsv(context, rows) {
+  const header = [...EXPORT_COLUMNS.map(c => c.label), 'Arena', 'Period', 'Generated'];
+  const lines = rows.map(row => [
+    ...EXPORT_COLUMNS.map(({ key }) => row[key]),
+    context.arena, context.period, context.generatedAt
+  ]);
+  return [header, ...lines].map(line => line.map(csvCell).join(',')).join('\n');
+}
+
+// The popup, content script and worker load this file as a classic script;
+// the CLI requires it from Node
+if (typeof module !== 'undefined') {
+  module.exports = {
+    DEFAULT_SCORING_CONFIG,
+    DEFAULT_IDENTITY_RULES,
+    SCORING_CONFIG,
+    PERIOD_NAMES,
+    EXPORT_COLUMNS,
+    mergeScoringConfig,
+    getPeriodRange,
+    rangeBuckets,
+    processContributors,
+    calculateScoreBreakdown,
+    calculateScore,
+    calculateStreak,
+    calculateConsistency,
+    calculateChurn,
+    assignTitle,
+    applyIdentityRules,
+    toExportRows,
+    toCsv
+  };
+}